@@ -1,10 +1,14 @@
-const {PassThrough} = require('node:stream');
-const {EventEmitter} = require('node:events');
-const {createWriteStream} = require('node:fs');
+const {PassThrough, Readable, Transform, Writable, finished, pipeline} = require('node:stream');
+const {ReadableStream} = require('node:stream/web');
+const {EventEmitter, on} = require('node:events');
+const {createWriteStream, readFile, writeFile, rename, unlink, stat, open, ftruncate, write: fsWrite, close: fsClose, mkdir, readdir, symlink, link, lstat, fsync, constants: fsConstants, fchmod, futimes, lutimes} = require('node:fs');
+const {join, extname} = require('node:path');
 const querystring = require('node:querystring');
 const {Resolver} = require('node:dns');
 const https = require('node:https');
 const http = require('node:http');
+const {createHash} = require('node:crypto');
+const {createInflateRaw, createGunzip, createBrotliDecompress, createZstdDecompress} = require('node:zlib');
 const aws4 = require('aws4');
 const {parseString} = require('xml2js');
 const {LRUCache} = require('lru-cache');
@@ -20,10 +24,23 @@ const EVENT_NAME_REQUEST_BODY_READING_PROGRESS = 'request:body-reading-progress'
 const EVENT_NAME_REQUEST_BODY_READ = 'request:body-read';
 const EVENT_NAME_REQUEST_RETRYING = 'request:retrying';
 const EVENT_NAME_OBJECT_DOWNLOADING  = 'object:downloading';
+const EVENT_NAME_OBJECT_CONCURRENCY_CHANGED = 'object:concurrency-changed';
+const EVENT_NAME_OBJECT_PROGRESS = 'object:progress';
+const EVENT_NAME_OBJECT_DOWNLOADED = 'object:downloaded';
+const EVENT_NAME_OBJECT_PAUSED = 'object:paused';
+const EVENT_NAME_OBJECT_RESUMED = 'object:resumed';
+const EVENT_NAME_OBJECT_DONE = 'object:done';
+const EVENT_NAME_OBJECT_FAILED = 'object:failed';
 const EVENT_NAME_PART_DOWNLOADING = 'part:downloading';
 const EVENT_NAME_PART_DOWNLOADED = 'part:downloaded';
+const EVENT_NAME_PART_HEDGING = 'part:hedging';
+const EVENT_NAME_PART_HEDGED = 'part:hedged';
 const EVENT_NAME_PART_WRITING = 'part:writing';
 const EVENT_NAME_PART_DONE = 'part:done';
+const EVENT_NAME_ENTRY_EXTRACTED = 'entry:extracted';
+const EVENT_NAME_ENTRY_SKIPPED = 'entry:skipped';
+
+const EVENT_NAME_END = Symbol('end'); // internal, ends async iterations over events
 
 const EVENT_NAMES = [
   EVENT_NAME_REQUEST_NAME_RESOLVING,
@@ -37,14 +54,30 @@ const EVENT_NAMES = [
   EVENT_NAME_REQUEST_BODY_READ,
   EVENT_NAME_REQUEST_RETRYING,
   EVENT_NAME_OBJECT_DOWNLOADING,
+  EVENT_NAME_OBJECT_CONCURRENCY_CHANGED,
+  EVENT_NAME_OBJECT_PROGRESS,
+  EVENT_NAME_OBJECT_DOWNLOADED,
+  EVENT_NAME_OBJECT_PAUSED,
+  EVENT_NAME_OBJECT_RESUMED,
+  EVENT_NAME_OBJECT_DONE,
+  EVENT_NAME_OBJECT_FAILED,
   EVENT_NAME_PART_DOWNLOADING,
   EVENT_NAME_PART_DOWNLOADED,
+  EVENT_NAME_PART_HEDGING,
+  EVENT_NAME_PART_HEDGED,
   EVENT_NAME_PART_WRITING,
-  EVENT_NAME_PART_DONE
+  EVENT_NAME_PART_DONE,
+  EVENT_NAME_ENTRY_EXTRACTED,
+  EVENT_NAME_ENTRY_SKIPPED
 ];
 exports.EVENT_NAMES = EVENT_NAMES;
 
 const READ_STATS_SAMPLE_RATE_IN_SECONDS = 5;
+const PROGRESS_THROUGHPUT_WINDOW_IN_MILLISECONDS = 5000;
+const PROGRESS_SAMPLE_RATE_IN_MILLISECONDS = 100;
+const HEDGE_CHECK_INTERVAL_IN_MILLISECONDS = 100;
+const HEDGE_MIN_PART_LATENCIES = 3; // p90 of fewer parts is meaningless
+const HEDGE_MIN_THROUGHPUT_WINDOW_IN_MILLISECONDS = 1000; // connection setup and first bytes take a while
 
 class RequestTimeoutError extends Error {
   constructor(message) {
@@ -86,6 +119,22 @@ class WriteTimeoutError extends Error {
 }
 exports.WriteTimeoutError = WriteTimeoutError;
 
+class ChecksumMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChecksumMismatchError';
+  }
+}
+exports.ChecksumMismatchError = ChecksumMismatchError;
+
+class ObjectModifiedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ObjectModifiedError';
+  }
+}
+exports.ObjectModifiedError = ObjectModifiedError;
+
 const RETRIABLE_NETWORK_ERROR_CODES = ['ECONNRESET', 'ENOTFOUND', 'ESOCKETTIMEDOUT', 'ETIMEDOUT', 'ECONNREFUSED', 'EHOSTUNREACH', 'EPIPE', 'EAI_AGAIN', 'EBUSY'];
 const RETRIABLE_ERROR_NAMES = ['RequestTimeoutError', 'ConnectionTimeoutError', 'ReadTimeoutError', 'DataTimeoutError', 'WriteTimeoutError'];
 
@@ -95,6 +144,8 @@ const DNS_RECORD_MAX_TTL_IN_SECONDS = 30;
 const IMDS_TOKEN_TTL_IN_SECONDS = 60*10;
 const IMDS_TOKEN_MAX_AGE_IN_MILLISECONDS = (IMDS_TOKEN_TTL_IN_SECONDS-60)*1000;
 const MAX_RETRY_DELAY_IN_SECONDS = 20;
+const DEFAULT_MAX_CONCURRENCY = 64;
+const ADAPTIVE_CONCURRENCY_MIN_IMPROVEMENT = 1.1; // throughput must improve by 10% to keep increasing concurrency
 
 let imdsTokenCache = undefined;
 let imdsRegionCache = undefined;
@@ -163,7 +214,7 @@ function calculateStats(numbers) {
   const mean = sum / count;
   const min = Math.min(...numbers);
   const max = Math.max(...numbers);
-  const sortedNumbers = numbers.toSorted(); 
+  const sortedNumbers = numbers.toSorted((a, b) => a-b);
   const median = calculateQuantile(sortedNumbers, 0.5);
   const p90 = calculateQuantile(sortedNumbers, 0.9);
   const p99 = calculateQuantile(sortedNumbers, 0.99);
@@ -262,6 +313,7 @@ function request(nodemodule, requestOptions, body, timeoutOptions, contextOption
   let writeTimeoutId;
   let readStatsIntervalId;
   let cbcalled = false;
+  let streamedRes = null;
   const clearTimeouts = () => {
     clearTimeout(requestTimeoutId);
     clearTimeout(dataTimeoutId);
@@ -272,15 +324,30 @@ function request(nodemodule, requestOptions, body, timeoutOptions, contextOption
   contextOptions.emitter?.emit(EVENT_NAME_REQUEST_CONNECTING, {traceId, hostname: requestOptions.hostname, method: requestOptions.method, path: requestOptions.path});
   const req = nodemodule.request(requestOptions, (res) => {
     contextOptions.emitter?.emit(EVENT_NAME_REQUEST_CONNECTED, {traceId});
-    if (timeoutOptions.readTimeoutInMilliseconds > 0) {
-      readTimeoutId = setTimeout(() => {
-        clearTimeouts();
-        res.destroy(new ReadTimeoutError());
-      }, timeoutOptions.readTimeoutInMilliseconds);
-    }
-    let size = ('content-length' in res.headers) ? parseInt(res.headers['content-length'], 10) : 0;
-    const bodyChunks = ('content-length' in res.headers) ? null : [];
-    const bodyBuffer = ('content-length' in res.headers) ? Buffer.allocUnsafe(size) : null;
+    let readTimeoutRemainingInMilliseconds = timeoutOptions.readTimeoutInMilliseconds;
+    let readTimeoutStartedAt = -1; // -1 while suspended
+    const startReadTimeout = () => {
+      if (timeoutOptions.readTimeoutInMilliseconds > 0 && readTimeoutStartedAt === -1) {
+        readTimeoutStartedAt = Date.now();
+        readTimeoutId = setTimeout(() => {
+          clearTimeouts();
+          res.destroy(new ReadTimeoutError());
+        }, readTimeoutRemainingInMilliseconds);
+      }
+    };
+    const suspendReadTimeout = () => {
+      if (readTimeoutStartedAt !== -1) {
+        clearTimeout(readTimeoutId);
+        readTimeoutRemainingInMilliseconds -= Date.now()-readTimeoutStartedAt;
+        readTimeoutStartedAt = -1;
+      }
+    };
+    startReadTimeout();
+    const streamBody = (contextOptions.streamBody === true && res.statusCode === 206); // the caller reads the body, error responses are always buffered
+    const preallocate = ('content-length' in res.headers) && requestOptions.method !== 'HEAD' && streamBody === false; // the content length of a HEAD response is the length of the body a GET would return
+    let size = (preallocate === true) ? parseInt(res.headers['content-length'], 10) : 0;
+    const bodyChunks = (preallocate === true) ? null : [];
+    const bodyBuffer = (preallocate === true) ? Buffer.allocUnsafe(size) : null;
     let bodyBufferOffset = 0;
     const resetDataTimeout = () => {
       if (timeoutOptions.dataTimeoutInMilliseconds > 0) {
@@ -309,10 +376,15 @@ function request(nodemodule, requestOptions, body, timeoutOptions, contextOption
       contextOptions.emitter?.emit(EVENT_NAME_REQUEST_BODY_READING_PROGRESS, {traceId, bytesPerSecond});
     }, READ_STATS_SAMPLE_RATE_IN_SECONDS*1000);
     resetDataTimeout();
+    let bodyBytes = 0;
     res.on('data', chunk => {
       resetDataTimeout();
       readStatsBytes += chunk.length;
-      if (bodyChunks !== null) {
+      bodyBytes += chunk.length;
+      contextOptions.onBodyBytes?.(bodyBytes);
+      if (streamBody === true) {
+        return;
+      } else if (bodyChunks !== null) {
         bodyChunks.push(chunk);
         size += chunk.length;
       } else {
@@ -333,12 +405,30 @@ function request(nodemodule, requestOptions, body, timeoutOptions, contextOption
         }
       }
     });
+    if (streamBody === true) { // timeouts keep running until the caller has read the body, errors are reported by the response stream
+      res.on('pause', () => { // the caller applies backpressure, that is not a network stall
+        clearTimeout(dataTimeoutId);
+        suspendReadTimeout();
+      });
+      res.on('resume', () => {
+        if (!res.destroyed && !res.readableEnded) {
+          resetDataTimeout();
+          startReadTimeout();
+        }
+      });
+      res.once('close', clearTimeouts);
+      streamedRes = res;
+      cbcalled = true;
+      cb(null, res, null);
+    }
   });
   req.once('error', (err) => {
     clearTimeouts();
     if (cbcalled === false) {
       cbcalled = true;
       cb(err);
+    } else if (streamedRes !== null && !streamedRes.destroyed) {
+      streamedRes.destroy(err);
     }
   });
   req.once('timeout', () => {
@@ -365,7 +455,24 @@ function request(nodemodule, requestOptions, body, timeoutOptions, contextOption
   }
   req.end();
 }
-exports.request = request;
+exports.request = (nodemodule, requestOptions, body, timeoutOptions, contextOptions, cb) => {
+  if (typeof cb === 'function') {
+    request(nodemodule, requestOptions, body, timeoutOptions, contextOptions, cb);
+  } else {
+    return callbackOrPromise(undefined, (cb) => request(nodemodule, requestOptions, body, timeoutOptions, contextOptions, (err, res, body) => cb(err, {res, body}))); // resolves to {res, body}
+  }
+};
+
+function redactSecrets(body, secrets) {
+  let text = body.toString('utf8');
+  if (!secrets.some(secret => text.includes(secret))) {
+    return body;
+  }
+  secrets.forEach(secret => {
+    text = text.split(secret).join('[REDACTED]');
+  });
+  return Buffer.from(text, 'utf8');
+}
 
 function retryrequest(nodemodule, requestOptions, body, retryOptions, timeoutOptions, contextOptions, cb) {
   const getTraceId = (attempt) => (contextOptions.traceId) ? `${contextOptions.traceId}:attempt=${attempt}` : `attempt=${attempt}`;
@@ -394,6 +501,9 @@ function retryrequest(nodemodule, requestOptions, body, retryOptions, timeoutOpt
   };
   const req = (attempt) => {
     request(nodemodule, requestOptions, body, timeoutOptions, {...contextOptions, traceId: getTraceId(attempt)}, (err, res, body) => {
+      if (!err && res.statusCode >= 300 && Buffer.isBuffer(body) && contextOptions.secrets !== undefined) { // S3 echoes invalid header values in error responses
+        body = redactSecrets(body, contextOptions.secrets);
+      }
       if (err) {
         if (RETRIABLE_NETWORK_ERROR_CODES.includes(err.code) || RETRIABLE_ERROR_NAMES.includes(err.name)) {
           retry(attempt, err);
@@ -425,7 +535,13 @@ function retryrequest(nodemodule, requestOptions, body, retryOptions, timeoutOpt
   };
   req(1);
 }
-exports.retryrequest = retryrequest;
+exports.retryrequest = (nodemodule, requestOptions, body, retryOptions, timeoutOptions, contextOptions, cb) => {
+  if (typeof cb === 'function') {
+    retryrequest(nodemodule, requestOptions, body, retryOptions, timeoutOptions, contextOptions, cb);
+  } else {
+    return callbackOrPromise(undefined, (cb) => retryrequest(nodemodule, requestOptions, body, retryOptions, timeoutOptions, contextOptions, (err, res, body) => cb(err, {res, body}))); // resolves to {res, body}
+  }
+};
 
 function imdsRequest(method, path, headers, timeoutOptions, cb) {
   const options = {
@@ -490,7 +606,7 @@ function imds(path, timeoutOptions, cb) {
     }
   });
 }
-exports.imds = imds;
+exports.imds = (path, timeoutOptions, cb) => callbackOrPromise(cb, (cb) => imds(path, timeoutOptions, cb));
 
 const DEFAULT_IMDS_TIMEOUT_OPTIONS = {
   requestTimeoutInMilliseconds: 3000,
@@ -644,6 +760,156 @@ function mapPartSizeInBytes(partSizeInMegabytes) {
   return partSizeInMegabytes*1000000;
 }
 
+function mapS3Options({region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials, sseCustomerKey}) {
+  if (!(v2AwsSdkCredentials === undefined || v2AwsSdkCredentials === null)) {
+    if (typeof v2AwsSdkCredentials.get !== 'function') {
+      throw new Error('invalid v2AwsSdkCredentials');
+    }
+  }
+
+  if (!(v3AwsSdkCredentials === undefined || v3AwsSdkCredentials === null)) {
+    if (typeof v3AwsSdkCredentials !== 'function') {
+      throw new Error('invalid v3AwsSdkCredentials');
+    }
+  }
+
+  if (sseCustomerKey === undefined || sseCustomerKey === null) {
+    sseCustomerKey = null;
+  } else {
+    const key = Buffer.isBuffer(sseCustomerKey) ? sseCustomerKey : Buffer.from(sseCustomerKey, 'base64');
+    if (key.length !== 32) {
+      throw new Error('sseCustomerKey must be a 256-bit key (Buffer or base64)');
+    }
+    sseCustomerKey = {key: key.toString('base64'), keyMD5: createHash('md5').update(key).digest('base64')};
+  }
+  return {region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials, sseCustomerKey};
+}
+
+function mapTimeoutOptions({requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds}) {
+  if (requestTimeoutInMilliseconds === undefined || requestTimeoutInMilliseconds === null) {
+    requestTimeoutInMilliseconds = 300000;
+  } else if (requestTimeoutInMilliseconds < 0) {
+    throw new Error('requestTimeoutInMilliseconds >= 0');
+  }
+
+  if (resolveTimeoutInMilliseconds === undefined || resolveTimeoutInMilliseconds === null) {
+    resolveTimeoutInMilliseconds = 3000;
+  } else if (resolveTimeoutInMilliseconds < 0) {
+    throw new Error('resolveTimeoutInMilliseconds >= 0');
+  }
+
+  if (connectionTimeoutInMilliseconds === undefined || connectionTimeoutInMilliseconds === null) {
+    connectionTimeoutInMilliseconds = 3000;
+  } else if (connectionTimeoutInMilliseconds < 0) {
+    throw new Error('connectionTimeoutInMilliseconds >= 0');
+  }
+
+  if (readTimeoutInMilliseconds === undefined || readTimeoutInMilliseconds === null) {
+    readTimeoutInMilliseconds = 300000;
+  } else if (readTimeoutInMilliseconds < 0) {
+    throw new Error('readTimeoutInMilliseconds >= 0');
+  }
+
+  if (dataTimeoutInMilliseconds === undefined || dataTimeoutInMilliseconds === null) {
+    dataTimeoutInMilliseconds = 3000;
+  } else if (dataTimeoutInMilliseconds < 0) {
+    throw new Error('dataTimeoutInMilliseconds >= 0');
+  }
+
+  if (writeTimeoutInMilliseconds === undefined || writeTimeoutInMilliseconds === null) {
+    writeTimeoutInMilliseconds = 300000;
+  } else if (writeTimeoutInMilliseconds < 0) {
+    throw new Error('writeTimeoutInMilliseconds >= 0');
+  }
+  return {requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds};
+}
+
+function createCrc(width, polynomial) { // reflected CRC with all bits set as initial value and final xor (CRC32, CRC32C, CRC64NVME)
+  const bits = BigInt(width);
+  const mask = (1n << bits) - 1n;
+  const tableLo = new Uint32Array(256);
+  const tableHi = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = BigInt(i);
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1n) ? (c >> 1n) ^ polynomial : c >> 1n;
+    }
+    tableLo[i] = Number(c & 0xFFFFFFFFn);
+    tableHi[i] = Number(c >> 32n);
+  }
+  const multmodp = (a, b) => { // source https://github.com/madler/zlib/blob/v1.3.1/crc32.c#L530-L548
+    let m = 1n << (bits-1n);
+    let p = 0n;
+    for (;;) {
+      if (a & m) {
+        p ^= b;
+        if ((a & (m-1n)) === 0n) {
+          break;
+        }
+      }
+      m >>= 1n;
+      b = (b & 1n) ? (b >> 1n) ^ polynomial : b >> 1n;
+    }
+    return p;
+  };
+  const x2nTable = [1n << (bits-2n)]; // x^(2^k) mod p
+  const x2nmodp = (n, k) => { // x^(n*2^k) mod p
+    let p = 1n << (bits-1n);
+    while (n > 0) {
+      if (n % 2 === 1) {
+        while (x2nTable.length <= k) {
+          const last = x2nTable[x2nTable.length-1];
+          x2nTable.push(multmodp(last, last));
+        }
+        p = multmodp(x2nTable[k], p);
+      }
+      n = Math.floor(n/2);
+      k++;
+    }
+    return p;
+  };
+  return {
+    initial: 0n,
+    update: (crc, buffer) => {
+      let lo = Number((crc ^ mask) & 0xFFFFFFFFn);
+      let hi = Number((crc ^ mask) >> 32n);
+      for (let i = 0; i < buffer.length; i++) {
+        const index = (lo ^ buffer[i]) & 0xFF;
+        lo = (((lo >>> 8) | (hi << 24)) ^ tableLo[index]) >>> 0;
+        hi = ((hi >>> 8) ^ tableHi[index]) >>> 0;
+      }
+      return ((BigInt(hi) << 32n) | BigInt(lo)) ^ mask;
+    },
+    combine: (crc1, crc2, length2) => multmodp(x2nmodp(length2, 3), crc1) ^ crc2, // CRC of the concatenation of two buffers
+    digest: (crc) => {
+      const buffer = Buffer.alloc(width/8);
+      if (width === 64) {
+        buffer.writeBigUInt64BE(crc);
+      } else {
+        buffer.writeUInt32BE(Number(crc));
+      }
+      return buffer.toString('base64');
+    }
+  };
+}
+
+const CRCS = {
+  crc32: createCrc(32, 0xEDB88320n),
+  crc32c: createCrc(32, 0x82F63B78n),
+  crc64nvme: createCrc(64, 0x9A6C9329AC4BC9B5n)
+};
+const HASHES = ['sha1', 'sha256'];
+const CHECKSUM_ALGORITHMS = [...Object.keys(CRCS), ...HASHES];
+
+function calculateChecksum(algorithm, buffer) {
+  if (algorithm in CRCS) {
+    const crc = CRCS[algorithm];
+    return crc.digest(crc.update(crc.initial, buffer));
+  } else {
+    return createHash(algorithm).update(buffer).digest('base64');
+  }
+}
+
 function escapeKey(string) { // source https://github.com/aws/aws-sdk-js/blob/64eb16f8e9a835e41cf47d0efd7bf43dcde9dcb9/lib/util.js#L39-L49
   return encodeURIComponent(string)
     .replace(/[^A-Za-z0-9_.~\-%]+/g, escape)
@@ -653,8 +919,16 @@ function escapeKey(string) { // source https://github.com/aws/aws-sdk-js/blob/64
 }
 
 function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptions, cb) {
-  const {Bucket, Key, VersionId, PartNumber, Range} = params;
-  const {region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials} = s3Options;
+  return requestObject('GET', params, s3Options, retryOptions, timeoutOptions, contextOptions, cb);
+}
+
+function headObject(params, s3Options, retryOptions, timeoutOptions, contextOptions, cb) { // ContentLength is the length of the body a GET would return
+  return requestObject('HEAD', params, s3Options, retryOptions, timeoutOptions, contextOptions, cb);
+}
+
+function requestObject(method, params, s3Options, retryOptions, timeoutOptions, contextOptions, cb) {
+  const {Bucket, Key, VersionId, PartNumber, Range, IfMatch, ChecksumMode} = params;
+  const {region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials, sseCustomerKey} = s3Options;
   const ac = new AbortController();
   const qs = {};
   const headers = {};
@@ -667,6 +941,37 @@ function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptio
   if (Range !== undefined && Range !== null) {
     headers.Range = Range;
   }
+  if (IfMatch !== undefined && IfMatch !== null) {
+    headers['If-Match'] = IfMatch;
+  }
+  if (ChecksumMode !== undefined && ChecksumMode !== null) {
+    headers['x-amz-checksum-mode'] = ChecksumMode;
+  }
+  if (sseCustomerKey !== undefined && sseCustomerKey !== null) {
+    headers['x-amz-server-side-encryption-customer-algorithm'] = 'AES256';
+    headers['x-amz-server-side-encryption-customer-key'] = sseCustomerKey.key;
+    headers['x-amz-server-side-encryption-customer-key-MD5'] = sseCustomerKey.keyMD5;
+    contextOptions = {...contextOptions, secrets: [sseCustomerKey.key]};
+  }
+  const mapHeaders = (res, data) => {
+    if ('etag' in res.headers) {
+      data.ETag = res.headers['etag'];
+    }
+    if ('x-amz-version-id' in res.headers) {
+      data.VersionId = res.headers['x-amz-version-id'];
+    }
+    if ('content-encoding' in res.headers) {
+      data.ContentEncoding = res.headers['content-encoding'];
+    }
+    const algorithm = CHECKSUM_ALGORITHMS.find(algorithm => `x-amz-checksum-${algorithm}` in res.headers);
+    if (algorithm !== undefined) {
+      data.Checksum = {
+        Algorithm: algorithm,
+        Value: res.headers[`x-amz-checksum-${algorithm}`],
+        Type: res.headers['x-amz-checksum-type']
+      };
+    }
+  };
   getHostname(region, endpointHostname, Bucket, (err, hostname) => {
     if (err) {
       cb(err);
@@ -682,7 +987,7 @@ function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptio
           path += `/${escapeKey(Key)}?${querystring.stringify(qs)}`;
           const options = aws4.sign({
             hostname,
-            method: 'GET',
+            method,
             path,
             headers,
             service: 's3',
@@ -693,17 +998,20 @@ function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptio
             if (err) {
               cb(err);
             } else {
-              if (res.statusCode === 200 && body.length === 0) {
+              const contentLength = (method === 'HEAD' || body === null) ? parseInt(res.headers['content-length'] || '0', 10) : body.length;
+              if (res.statusCode === 200 && contentLength === 0) {
                 const data = {
                   Body: body,
-                  ContentLength: body.length
+                  ContentLength: contentLength
                 };
+                mapHeaders(res, data);
                 cb(null, data);
               } else if (res.statusCode === 206) {
                 const data = {
-                  Body: body,
-                  ContentLength: body.length
+                  Body: (body === null) ? res : body, // the response stream if contextOptions.streamBody is set
+                  ContentLength: contentLength
                 };
+                mapHeaders(res, data);
                 if ('x-amz-mp-parts-count' in res.headers) {
                   data.PartsCount = parseInt(res.headers['x-amz-mp-parts-count'], 10);
                 }
@@ -711,39 +1019,20 @@ function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptio
                   data.ContentRange = res.headers['content-range'];
                 }
                 cb(null, data);
+              } else if (method === 'HEAD' && res.statusCode === 301 && 'x-amz-bucket-region' in res.headers) { // HEAD responses come without an error document
+                requestObject(method, params, {...s3Options, region: res.headers['x-amz-bucket-region']}, retryOptions, timeoutOptions, contextOptions, cb);
+              } else if (method === 'HEAD') {
+                const err = new Error(`unexpected S3 response (${res.statusCode})`);
+                err.statusCode = res.statusCode;
+                cb(err);
               } else {
-                if (res.headers['content-type'] === 'application/xml') {
-                  parseString(body.toString('utf8'), {explicitArray: false}, function (err, result) {
-                    if (err) {
-                      cb(err);
-                    } else {
-                      if (result.Error && result.Error.Code && result.Error.Message) {
-                        if ((result.Error.Code === 'PermanentRedirect' || result.Error.Code === 'IllegalLocationConstraintException') && res.headers['x-amz-bucket-region']) { // TODO use region in all further parts to avoid running into this error for every part
-                          getObject(params, {...s3Options, region: res.headers['x-amz-bucket-region']}, retryOptions, timeoutOptions, contextOptions, cb);
-                        } else if (result.Error.Code === 'PermanentRedirect' && result.Error.Endpoint) { // TODO use endpoint in all further parts to avoid running into this error for every part
-                          getObject(params, {...s3Options, endpointHostname: result.Error.Endpoint}, retryOptions, timeoutOptions, contextOptions, cb);
-                        } else {
-                          const err = new Error(`${result.Error.Code}: ${result.Error.Message}`);
-                          err.statusCode = res.statusCode;
-                          err.body = body;
-                          err.code = result.Error.Code;
-                          err.name = result.Error.Code;
-                          cb(err);
-                        }
-                      } else {
-                        const err = new Error(`unexpected S3 XML response (${res.statusCode}):\n${body.toString('utf8')}`);
-                        err.statusCode = res.statusCode;
-                        err.body = body;
-                        cb(err);
-                      }
-                    }
-                  });
-                } else {
-                  const err = new Error(`unexpected S3 response (${res.statusCode}, ${res.headers['content-type']})`);
-                  err.statusCode = res.statusCode;
-                  err.body = body;
-                  cb(err);
-                }
+                parseErrorResponse(res, body, (err, redirectS3Options) => { // TODO use region or endpoint in all further parts to avoid running into redirects for every part
+                  if (err) {
+                    cb(err);
+                  } else {
+                    requestObject(method, params, {...s3Options, ...redirectS3Options}, retryOptions, timeoutOptions, contextOptions, cb);
+                  }
+                });
               }
             }
           });
@@ -754,323 +1043,3679 @@ function getObject(params, s3Options, retryOptions, timeoutOptions, contextOptio
   return ac;
 }
 
-exports.download = ({bucket, key, version}, {partSizeInMegabytes, concurrency, requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds, region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials}) => {
-  if (concurrency < 1) {
-    throw new Error('concurrency > 0');
-  }
-
-  if (requestTimeoutInMilliseconds === undefined || requestTimeoutInMilliseconds === null) {
-    requestTimeoutInMilliseconds = 300000;
-  } else if (requestTimeoutInMilliseconds < 0) {
-    throw new Error('requestTimeoutInMilliseconds >= 0');
-  }
-
-  if (resolveTimeoutInMilliseconds === undefined || resolveTimeoutInMilliseconds === null) {
-    resolveTimeoutInMilliseconds = 3000;
-  } else if (resolveTimeoutInMilliseconds < 0) {
-    throw new Error('resolveTimeoutInMilliseconds >= 0');
-  }
-
-  if (connectionTimeoutInMilliseconds === undefined || connectionTimeoutInMilliseconds === null) {
-    connectionTimeoutInMilliseconds = 3000;
-  } else if (connectionTimeoutInMilliseconds < 0) {
-    throw new Error('connectionTimeoutInMilliseconds >= 0');
-  }
-
-  if (readTimeoutInMilliseconds === undefined || readTimeoutInMilliseconds === null) {
-    readTimeoutInMilliseconds = 300000;
-  } else if (readTimeoutInMilliseconds < 0) {
-    throw new Error('readTimeoutInMilliseconds >= 0');
+function listObjects(params, s3Options, retryOptions, timeoutOptions, contextOptions, cb) { // ListObjectsV2
+  const {Bucket, Prefix, ContinuationToken} = params;
+  const {region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials} = s3Options;
+  const qs = {
+    'list-type': 2
+  };
+  if (ContinuationToken !== undefined && ContinuationToken !== null) {
+    qs['continuation-token'] = ContinuationToken;
   }
-
-  if (dataTimeoutInMilliseconds === undefined || dataTimeoutInMilliseconds === null) {
-    dataTimeoutInMilliseconds = 3000;
-  } else if (dataTimeoutInMilliseconds < 0) {
-    throw new Error('dataTimeoutInMilliseconds >= 0');
+  if (Prefix !== undefined && Prefix !== null) {
+    qs.prefix = Prefix;
   }
+  getHostname(region, endpointHostname, Bucket, (err, hostname) => {
+    if (err) {
+      cb(err);
+    } else {
+      getAwsCredentials(v2AwsSdkCredentials, v3AwsSdkCredentials, (err, credentials) => {
+        if (err) {
+          cb(err);
+        } else {
+          let path = '';
+          if (!hostname.startsWith(`${Bucket}.`)) { // fallback to path-style if hostname does not start with bucket aka virtual-hosted–style
+            path += `/${Bucket}`;
+          }
+          path += `/?${querystring.stringify(qs)}`;
+          const options = aws4.sign({
+            hostname,
+            method: 'GET',
+            path,
+            headers: {},
+            service: 's3',
+            signal: contextOptions.signal,
+            agent
+          }, credentials);
+          retryrequest(https, options, undefined, retryOptions, timeoutOptions, contextOptions, (err, res, body) => {
+            if (err) {
+              cb(err);
+            } else if (res.statusCode === 200) {
+              parseString(body.toString('utf8'), {explicitArray: false}, function (err, result) {
+                if (err) {
+                  cb(err);
+                } else if (!result || !result.ListBucketResult) {
+                  const err = new Error(`unexpected S3 XML response (${res.statusCode}):\n${body.toString('utf8')}`);
+                  err.statusCode = res.statusCode;
+                  err.body = body;
+                  cb(err);
+                } else {
+                  const contents = (result.ListBucketResult.Contents === undefined) ? [] : [].concat(result.ListBucketResult.Contents);
+                  cb(null, {
+                    Contents: contents.map(({Key, Size, ETag, LastModified}) => ({Key, Size: parseInt(Size, 10), ETag, LastModified: new Date(LastModified)})),
+                    IsTruncated: result.ListBucketResult.IsTruncated === 'true',
+                    NextContinuationToken: result.ListBucketResult.NextContinuationToken
+                  });
+                }
+              });
+            } else {
+              parseErrorResponse(res, body, (err, redirectS3Options) => {
+                if (err) {
+                  cb(err);
+                } else {
+                  listObjects(params, {...s3Options, ...redirectS3Options}, retryOptions, timeoutOptions, contextOptions, cb);
+                }
+              });
+            }
+          });
+        }
+      });
+    }
+  });
+}
 
-  if (writeTimeoutInMilliseconds === undefined || writeTimeoutInMilliseconds === null) {
-    writeTimeoutInMilliseconds = 300000;
-  } else if (writeTimeoutInMilliseconds < 0) {
-    throw new Error('writeTimeoutInMilliseconds >= 0');
+function parseErrorResponse(res, body, cb) { // cb(err) with the S3 error, or cb(null, redirectS3Options) if the request has to be sent to another region or endpoint
+  if (res.headers['content-type'] === 'application/xml') {
+    parseString(body.toString('utf8'), {explicitArray: false}, function (err, result) {
+      if (err) {
+        cb(err);
+      } else {
+        if (result.Error && result.Error.Code && result.Error.Message) {
+          if ((result.Error.Code === 'PermanentRedirect' || result.Error.Code === 'IllegalLocationConstraintException') && res.headers['x-amz-bucket-region']) {
+            cb(null, {region: res.headers['x-amz-bucket-region']});
+          } else if (result.Error.Code === 'PermanentRedirect' && result.Error.Endpoint) {
+            cb(null, {endpointHostname: result.Error.Endpoint});
+          } else {
+            const err = new Error(`${result.Error.Code}: ${result.Error.Message}`);
+            err.statusCode = res.statusCode;
+            err.body = body;
+            err.code = result.Error.Code;
+            err.name = result.Error.Code;
+            cb(err);
+          }
+        } else {
+          const err = new Error(`unexpected S3 XML response (${res.statusCode}):\n${body.toString('utf8')}`);
+          err.statusCode = res.statusCode;
+          err.body = body;
+          cb(err);
+        }
+      }
+    });
+  } else {
+    const err = new Error(`unexpected S3 response (${res.statusCode}, ${res.headers['content-type']})`);
+    err.statusCode = res.statusCode;
+    err.body = body;
+    cb(err);
   }
+}
 
-  if (!(v2AwsSdkCredentials === undefined || v2AwsSdkCredentials === null)) {
-    if (typeof v2AwsSdkCredentials.get !== 'function') {
-      throw new Error('invalid v2AwsSdkCredentials');
+function createAdaptiveConcurrency(minConcurrency, maxConcurrency, onChange) { // increase concurrency while throughput improves, decrease on throttling
+  let concurrency = minConcurrency;
+  let slowStart = true;
+  let bestBytesPerSecond = 0;
+  let roundStartedAt = Date.now();
+  let roundParts = 0;
+  let roundBytes = 0;
+  let throttled = false;
+  const change = (newConcurrency, reason) => {
+    newConcurrency = Math.min(Math.max(newConcurrency, minConcurrency), maxConcurrency);
+    if (newConcurrency !== concurrency) {
+      const previousConcurrency = concurrency;
+      concurrency = newConcurrency;
+      onChange(concurrency, previousConcurrency, reason);
     }
-  }
-
-  if (!(v3AwsSdkCredentials === undefined || v3AwsSdkCredentials === null)) {
-    if (typeof v3AwsSdkCredentials !== 'function') {
-      throw new Error('invalid v3AwsSdkCredentials');
+  };
+  const startRound = () => {
+    roundStartedAt = Date.now();
+    roundParts = 0;
+    roundBytes = 0;
+    throttled = false;
+  };
+  return {
+    get: () => concurrency,
+    partDownloaded: (bytes) => { // a round ends once as many parts as the current concurrency are downloaded
+      roundParts++;
+      roundBytes += bytes;
+      if (roundParts >= concurrency) {
+        const bytesPerSecond = roundBytes/(Math.max(Date.now()-roundStartedAt, 1)/1000);
+        if (throttled === false && bytesPerSecond > bestBytesPerSecond*ADAPTIVE_CONCURRENCY_MIN_IMPROVEMENT) {
+          bestBytesPerSecond = bytesPerSecond;
+          change(slowStart ? concurrency*2 : concurrency+1, 'throughput');
+        } else {
+          slowStart = false;
+        }
+        startRound();
+      }
+    },
+    throttled: () => { // only once per round, requests that are in flight are likely throttled as well
+      if (throttled === false) {
+        throttled = true;
+        slowStart = false;
+        bestBytesPerSecond = 0;
+        change(Math.floor(concurrency/2), 'throttling');
+      }
     }
-  }
+  };
+}
 
-  const s3Options = {region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials};
-  const retryOptions = {maxAttempts: 5};
-  const timeoutOptions = {requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds};
+function createPartPool(concurrency, onIdle) { // part slots shared by many downloads, waiting downloads are served first come, first served
+  let available = concurrency;
+  const waiting = [];
+  let serving = false;
+  const serve = () => {
+    serving = false;
+    while (available > 0 && waiting.length > 0) {
+      waiting.shift()();
+    }
+    if (available > 0) {
+      onIdle();
+    }
+  };
+  const release = (slots) => {
+    available += slots;
+    if (serving === false) {
+      serving = true;
+      process.nextTick(serve);
+    }
+  };
+  return {
+    lease: () => { // tracks the slots held by one download
+      let held = 0;
+      return {
+        acquire: (onAvailable) => {
+          if (available > 0) {
+            available--;
+            held++;
+            return true;
+          }
+          if (onAvailable !== undefined && !waiting.includes(onAvailable)) {
+            waiting.push(onAvailable);
+          }
+          return false;
+        },
+        release: () => {
+          if (held > 0) {
+            held--;
+            release(1);
+          }
+        },
+        releaseAll: () => {
+          if (held > 0) {
+            const slots = held;
+            held = 0;
+            release(slots);
+          }
+        }
+      };
+    }
+  };
+}
+
+function isThrottlingError(err) {
+  return err.statusCode === 503 || err.statusCode === 429 || RETRIABLE_ERROR_NAMES.includes(err.name);
+}
+
+function callbackOrPromise(cb, fn) { // returns a promise if no callback is provided
+  if (typeof cb === 'function') {
+    fn(cb);
+  } else {
+    return new Promise((resolve, reject) => {
+      fn((err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+}
+
+const CHECKPOINT_SUFFIX = '.checkpoint';
+
+function getCheckpointPath(path) {
+  return `${path}${CHECKPOINT_SUFFIX}`;
+}
+
+function readCheckpoint(path, cb) {
+  readFile(getCheckpointPath(path), 'utf8', (err, data) => {
+    if (err) {
+      if (err.code === 'ENOENT') {
+        cb(null, null);
+      } else {
+        cb(err);
+      }
+    } else {
+      let checkpoint;
+      try {
+        checkpoint = JSON.parse(data);
+      } catch (err) {
+        return cb(err);
+      }
+      cb(null, checkpoint);
+    }
+  });
+}
+
+function writeCheckpoint(path, checkpoint, cb) {
+  const tmpPath = `${getCheckpointPath(path)}.tmp`;
+  writeFile(tmpPath, JSON.stringify(checkpoint), 'utf8', (err) => { // write + rename to never leave a half-written checkpoint behind
+    if (err) {
+      cb(err);
+    } else {
+      rename(tmpPath, getCheckpointPath(path), cb);
+    }
+  });
+}
+
+function removeCheckpoint(path, cb) {
+  unlink(getCheckpointPath(path), (err) => {
+    if (err && err.code !== 'ENOENT') {
+      cb(err);
+    } else {
+      cb();
+    }
+  });
+}
+
+function writeFully(fd, buffer, position, cb) {
+  fsWrite(fd, buffer, 0, buffer.length, position, (err, bytesWritten) => {
+    if (err) {
+      cb(err);
+    } else if (bytesWritten < buffer.length) {
+      writeFully(fd, buffer.subarray(bytesWritten), position+bytesWritten, cb);
+    } else {
+      cb();
+    }
+  });
+}
+
+function openPositionalFile(path, flags, lengthInBytes, cb) {
+  open(path, flags, (err, fd) => {
+    if (err) {
+      cb(err);
+    } else {
+      ftruncate(fd, lengthInBytes, (err) => {
+        if (err) {
+          fsClose(fd, () => cb(err));
+        } else {
+          let writing = 0;
+          let closeWhenIdle = null;
+          let closed = false; // the file descriptor number could be reused by another file once closed
+          cb(null, {
+            write: (partNo, position, chunk, cb) => {
+              writing++;
+              writeFully(fd, chunk, position, (err) => {
+                writing--;
+                cb(err);
+                if (writing === 0 && closeWhenIdle !== null) {
+                  closeWhenIdle();
+                }
+              });
+            },
+            sync: (cb) => {
+              if (closed === true) {
+                process.nextTick(cb);
+                return;
+              }
+              writing++; // close waits for the sync like for a write
+              fsync(fd, (err) => {
+                writing--;
+                cb(err);
+                if (writing === 0 && closeWhenIdle !== null) {
+                  closeWhenIdle();
+                }
+              });
+            },
+            close: (cb) => { // wait for in-flight writes before the file descriptor is released
+              if (closed === true) {
+                process.nextTick(cb);
+                return;
+              }
+              closed = true;
+              if (writing === 0) {
+                fsClose(fd, cb);
+              } else {
+                closeWhenIdle = () => fsClose(fd, cb);
+              }
+            }
+          });
+        }
+      });
+    }
+  });
+}
+
+function createPositionalBuffer(target, offset) {
+  return {
+    write: (partNo, position, chunk, cb) => {
+      chunk.copy(target, offset+position);
+      process.nextTick(cb);
+    },
+    close: (cb) => process.nextTick(cb)
+  };
+}
+
+function toUint8Array(target) {
+  if (target instanceof Uint8Array) {
+    return target;
+  } else if (target instanceof ArrayBuffer || (typeof SharedArrayBuffer === 'function' && target instanceof SharedArrayBuffer)) {
+    return new Uint8Array(target);
+  } else {
+    return null;
+  }
+}
+
+function planParts(partRanges, maxPartSizeInBytes) { // parts larger than the maximum are split into ranges of about the same size, ranges never cross part boundaries
+  const plan = [];
+  partRanges.forEach(({startByte, endByte}, i) => {
+    const lengthInBytes = endByte-startByte+1;
+    if (lengthInBytes <= maxPartSizeInBytes) {
+      plan.push({partNumber: i+1, startByte, endByte});
+    } else {
+      const rangeSizeInBytes = Math.ceil(lengthInBytes/Math.ceil(lengthInBytes/maxPartSizeInBytes));
+      for (let rangeStartByte = startByte; rangeStartByte <= endByte; rangeStartByte += rangeSizeInBytes) {
+        plan.push({partNumber: null, startByte: rangeStartByte, endByte: Math.min(rangeStartByte+rangeSizeInBytes-1, endByte)});
+      }
+    }
+  });
+  return plan;
+}
+
+const DECOMPRESSORS = {gzip: createGunzip, br: createBrotliDecompress, zstd: createZstdDecompress}; // createZstdDecompress is undefined before Node.js 22.15
+const CONTENT_ENCODINGS = {'gzip': 'gzip', 'x-gzip': 'gzip', 'br': 'br', 'zstd': 'zstd'};
+const COMPRESSED_EXTENSIONS = {'.gz': 'gzip', '.tgz': 'gzip', '.br': 'br', '.zst': 'zstd', '.zstd': 'zstd'};
+
+function detectEncoding(contentEncoding, key) { // returns gzip, br, zstd, or null, the Content-Encoding header wins over the extension of the key
+  if (contentEncoding !== undefined && contentEncoding.trim().toLowerCase() in CONTENT_ENCODINGS) {
+    return CONTENT_ENCODINGS[contentEncoding.trim().toLowerCase()];
+  }
+  const extension = extname(key).toLowerCase();
+  if (extension in COMPRESSED_EXTENSIONS) {
+    return COMPRESSED_EXTENSIONS[extension];
+  }
+  return null;
+}
+
+function detectEncodingByMagicBytes(head) { // brotli has no magic bytes
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    return 'gzip';
+  }
+  if (head.length >= 4 && head.readUInt32LE(0) === 0xFD2FB528) {
+    return 'zstd';
+  }
+  return null;
+}
+
+function peekBytes(readable, cb) { // cb(err, head), the first chunk is put back before cb is called
+  const onReadable = () => {
+    readable.off('error', onError);
+    const head = readable.read();
+    if (head !== null) {
+      readable.unshift(head);
+    }
+    cb(null, (head === null) ? Buffer.alloc(0) : head);
+  };
+  const onError = (err) => {
+    readable.off('readable', onReadable);
+    cb(err);
+  };
+  readable.once('readable', onReadable);
+  readable.once('error', onError);
+}
+
+const TAR_BLOCK_LENGTH = 512;
+const TAR_END_BLOCK = Buffer.alloc(TAR_BLOCK_LENGTH);
+const TAR_ENTRY_TYPES = {'0': 'file', '\0': 'file', '7': 'file', '1': 'link', '2': 'symlink', '3': 'character-device', '4': 'block-device', '5': 'directory', '6': 'fifo'};
+const TAR_EXTRACTED_ENTRY_TYPES = ['file', 'link', 'symlink', 'directory'];
+const TAR_METADATA_TYPES = ['x', 'g', 'L', 'K']; // pax headers of the next entry (x) or all following entries (g), GNU long path (L) and long link path (K)
+
+function readTarString(buffer, offset, length) { // NUL-terminated unless the field is full
+  const field = buffer.subarray(offset, offset+length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, (end === -1) ? field.length : end);
+}
+
+function readTarNumber(header, offset, length) { // octal, or base-256 if the high bit is set (values that do not fit into the octal digits)
+  if ((header[offset] & 0x80) === 0x80) {
+    let value = header[offset] & 0x7F;
+    for (let i = offset+1; i < offset+length; i++) {
+      value = value*256+header[i];
+    }
+    return value;
+  }
+  const value = parseInt(readTarString(header, offset, length).trim(), 8);
+  return Number.isNaN(value) ? 0 : value;
+}
+
+function isTarChecksumValid(header) { // the checksum is computed with the checksum field set to spaces
+  let checksum = 0;
+  for (let i = 0; i < TAR_BLOCK_LENGTH; i++) {
+    checksum += (i >= 148 && i < 156) ? 0x20 : header[i];
+  }
+  return checksum === readTarNumber(header, 148, 8);
+}
+
+function parsePaxRecords(buffer) { // records look like "<length> <key>=<value>\n", the length includes itself
+  const records = {};
+  let offset = 0;
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    const space = buffer.indexOf(0x20, offset);
+    const length = parseInt(buffer.toString('latin1', offset, space), 10);
+    if (space === -1 || !(length > space-offset+1) || offset+length > buffer.length) {
+      throw new Error('invalid tar archive: malformed pax header');
+    }
+    const record = buffer.toString('utf8', space+1, offset+length-1);
+    const equals = record.indexOf('=');
+    if (equals === -1) {
+      throw new Error('invalid tar archive: malformed pax header');
+    }
+    records[record.slice(0, equals)] = record.slice(equals+1);
+    offset += length;
+  }
+  return records;
+}
+
+function createTarExtractor(dir, onEntry) { // writable, parses ustar, pax, and GNU tar and writes each entry while its data arrives
+  const symlinks = new Set(); // extracted symlinks, later entries must not be extracted through them
+  const symlinkParents = new Set(); // paths the .. of extracted symlink targets leave, a later symlink there would move those targets
+  const directoriesCreated = new Set();
+  const directories = []; // modes and mtimes are set at the end, extracting into a directory changes its mtime and its mode could prevent it
+  const pendingHeader = Buffer.alloc(TAR_BLOCK_LENGTH);
+  let pendingHeaderLength = 0;
+  let entry = null;
+  let paxRecords = {};
+  let globalPaxRecords = {};
+  let longPath = null;
+  let longLinkPath = null;
+  let endBlocks = 0;
+  let ended = false;
+
+  const throughSymlink = (segments) => {
+    for (let i = 1; i < segments.length; i++) {
+      if (symlinks.has(segments.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const resolveSymlinkTarget = (segments, linkPath) => { // returns null if the target is outside of dir, targets are relative to the directory of the symlink
+    if (linkPath.startsWith('/')) {
+      return null;
+    }
+    const target = segments.slice(0, -1);
+    const parents = [];
+    for (const segment of linkPath.split('/')) {
+      if (segment === '..') {
+        if (target.length === 0 || symlinks.has(target.join('/'))) { // .. of a symlink is relative to its target
+          return null;
+        }
+        for (let i = 1; i <= target.length; i++) {
+          parents.push(target.slice(0, i).join('/'));
+        }
+        target.pop();
+      } else if (segment !== '' && segment !== '.') {
+        target.push(segment);
+      }
+    }
+    parents.forEach(parent => symlinkParents.add(parent));
+    return target;
+  };
+  const mkdirParent = (segments, cb) => {
+    const parent = join(dir, ...segments.slice(0, -1));
+    if (directoriesCreated.has(parent)) {
+      cb();
+    } else {
+      mkdir(parent, {recursive: true}, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          directoriesCreated.add(parent);
+          cb();
+        }
+      });
+    }
+  };
+  const createExclusive = (path, create, cb) => { // replaces an existing file or symlink instead of following it
+    create((err, result) => {
+      if (err && err.code === 'EEXIST') {
+        unlink(path, (err) => {
+          if (err) {
+            cb(err);
+          } else {
+            create(cb);
+          }
+        });
+      } else {
+        cb(err, result);
+      }
+    });
+  };
+
+  const startEntry = (header, cb) => {
+    if (header.equals(TAR_END_BLOCK)) {
+      endBlocks++;
+      ended = (endBlocks === 2);
+      cb();
+      return;
+    }
+    endBlocks = 0;
+    if (!isTarChecksumValid(header)) {
+      cb(new Error('invalid tar archive: header checksum mismatch'));
+      return;
+    }
+    const typeflag = String.fromCharCode(header[156]);
+    const size = readTarNumber(header, 124, 12);
+    if (TAR_METADATA_TYPES.includes(typeflag)) {
+      entry = {type: typeflag, chunks: [], remaining: size, padding: (TAR_BLOCK_LENGTH-size%TAR_BLOCK_LENGTH)%TAR_BLOCK_LENGTH, fd: null};
+      cb();
+      return;
+    }
+    const records = {...globalPaxRecords, ...paxRecords};
+    const name = readTarString(header, 0, 100);
+    const prefix = (header.toString('latin1', 257, 262) === 'ustar') ? readTarString(header, 345, 155) : '';
+    const path = records.path || longPath || ((prefix !== '') ? `${prefix}/${name}` : name);
+    const linkPath = records.linkpath || longLinkPath || readTarString(header, 157, 100);
+    const type = TAR_ENTRY_TYPES[typeflag] || 'unknown';
+    const lengthInBytes = ('size' in records) ? Number(records.size) : size;
+    const remaining = (type === 'directory' || type === 'link' || type === 'symlink') ? 0 : lengthInBytes;
+    paxRecords = {};
+    longPath = null;
+    longLinkPath = null;
+    entry = {
+      type,
+      path,
+      linkPath,
+      lengthInBytes,
+      mode: readTarNumber(header, 100, 8) & 0o777, // setuid, setgid, and sticky bits are dropped
+      mtime: ('mtime' in records) ? Number(records.mtime) : readTarNumber(header, 136, 12),
+      remaining,
+      padding: (TAR_BLOCK_LENGTH-remaining%TAR_BLOCK_LENGTH)%TAR_BLOCK_LENGTH,
+      fd: null,
+      position: 0
+    };
+    if (!TAR_EXTRACTED_ENTRY_TYPES.includes(type)) {
+      cb();
+      return;
+    }
+    const segments = path.startsWith('/') ? null : getKeySegments(path);
+    if (segments === null || (segments.length === 0 && type !== 'directory') || throughSymlink(segments)) {
+      cb(new Error(`unsafe path in tar archive: ${path}`));
+      return;
+    }
+    const target = join(dir, ...segments);
+    if (type === 'directory') {
+      lstat(target, (err, stats) => {
+        if (err && err.code !== 'ENOENT') {
+          cb(err);
+        } else if (!err && stats.isSymbolicLink()) { // mkdir succeeds on a symlink to a directory, its mode and mtime would be set on the target
+          cb(new Error(`unsafe path in tar archive: ${path}`));
+        } else {
+          mkdir(target, {recursive: true}, (err) => {
+            if (err) {
+              cb(err);
+            } else {
+              directoriesCreated.add(target);
+              directories.push({target, mode: entry.mode, mtime: entry.mtime});
+              cb();
+            }
+          });
+        }
+      });
+    } else if (type === 'file') {
+      mkdirParent(segments, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          createExclusive(target, (cb) => open(target, 'wx', entry.mode, cb), (err, fd) => {
+            if (err) {
+              cb(err);
+            } else {
+              symlinks.delete(segments.join('/'));
+              entry.fd = fd;
+              cb();
+            }
+          });
+        }
+      });
+    } else if (type === 'symlink') {
+      if (symlinkParents.has(segments.join('/')) || resolveSymlinkTarget(segments, linkPath) === null) {
+        cb(new Error(`unsafe symlink in tar archive: ${path} -> ${linkPath}`));
+        return;
+      }
+      mkdirParent(segments, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          createExclusive(target, (cb) => symlink(linkPath, target, cb), (err) => {
+            if (err) {
+              cb(err);
+            } else {
+              symlinks.add(segments.join('/'));
+              lutimes(target, entry.mtime, entry.mtime, cb);
+            }
+          });
+        }
+      });
+    } else { // hard links refer to an earlier entry of the archive
+      const linkSegments = linkPath.startsWith('/') ? null : getKeySegments(linkPath);
+      if (linkSegments === null || linkSegments.length === 0 || throughSymlink(linkSegments)) {
+        cb(new Error(`unsafe link in tar archive: ${path} -> ${linkPath}`));
+        return;
+      }
+      const source = join(dir, ...linkSegments);
+      lstat(source, (err, stats) => {
+        if (err) {
+          cb(err);
+        } else if (stats.isSymbolicLink()) { // a hard link to a symlink is a copy of the symlink, its relative target would resolve from another directory
+          cb(new Error(`unsafe link in tar archive: ${path} -> ${linkPath}`));
+        } else {
+          mkdirParent(segments, (err) => {
+            if (err) {
+              cb(err);
+            } else {
+              createExclusive(target, (cb) => link(source, target, cb), (err) => {
+                if (err) {
+                  cb(err);
+                } else {
+                  symlinks.delete(segments.join('/'));
+                  cb();
+                }
+              });
+            }
+          });
+        }
+      });
+    }
+  };
+
+  const finishEntry = (cb) => {
+    const done = (err) => {
+      if (err) {
+        cb(err);
+      } else {
+        const {type, path, lengthInBytes} = entry;
+        entry = null;
+        onEntry(TAR_EXTRACTED_ENTRY_TYPES.includes(type) ? EVENT_NAME_ENTRY_EXTRACTED : EVENT_NAME_ENTRY_SKIPPED, {path, type, lengthInBytes});
+        cb();
+      }
+    };
+    if (TAR_METADATA_TYPES.includes(entry.type)) {
+      const buffer = Buffer.concat(entry.chunks);
+      try {
+        if (entry.type === 'x') {
+          paxRecords = parsePaxRecords(buffer);
+        } else if (entry.type === 'g') {
+          globalPaxRecords = {...globalPaxRecords, ...parsePaxRecords(buffer)};
+        } else if (entry.type === 'L') {
+          longPath = readTarString(buffer, 0, buffer.length);
+        } else {
+          longLinkPath = readTarString(buffer, 0, buffer.length);
+        }
+      } catch (err) {
+        cb(err);
+        return;
+      }
+      entry = null;
+      cb();
+    } else if (entry.fd !== null) {
+      const fd = entry.fd;
+      fchmod(fd, entry.mode, (err) => { // the mode passed to open is reduced by the umask
+        if (err) {
+          done(err);
+        } else {
+          futimes(fd, entry.mtime, entry.mtime, (err) => {
+            entry.fd = null;
+            fsClose(fd, (closeErr) => done(err || closeErr));
+          });
+        }
+      });
+    } else {
+      done();
+    }
+  };
+
+  const processChunk = (chunk, offset, cb) => {
+    while (ended === false) {
+      if (entry !== null && entry.remaining === 0 && entry.padding === 0) {
+        finishEntry((err) => {
+          if (err) {
+            cb(err);
+          } else {
+            processChunk(chunk, offset, cb);
+          }
+        });
+        return;
+      }
+      if (offset === chunk.length) {
+        break;
+      }
+      if (entry === null) {
+        let header;
+        if (pendingHeaderLength === 0 && chunk.length-offset >= TAR_BLOCK_LENGTH) {
+          header = chunk.subarray(offset, offset+TAR_BLOCK_LENGTH);
+          offset += TAR_BLOCK_LENGTH;
+        } else { // the header is split across chunks
+          const length = Math.min(TAR_BLOCK_LENGTH-pendingHeaderLength, chunk.length-offset);
+          chunk.copy(pendingHeader, pendingHeaderLength, offset, offset+length);
+          pendingHeaderLength += length;
+          offset += length;
+          if (pendingHeaderLength < TAR_BLOCK_LENGTH) {
+            break;
+          }
+          header = pendingHeader;
+          pendingHeaderLength = 0;
+        }
+        startEntry(header, (err) => {
+          if (err) {
+            cb(err);
+          } else {
+            processChunk(chunk, offset, cb);
+          }
+        });
+        return;
+      } else if (entry.remaining > 0) {
+        const data = chunk.subarray(offset, offset+Math.min(entry.remaining, chunk.length-offset));
+        offset += data.length;
+        entry.remaining -= data.length;
+        if (entry.fd !== null) {
+          writeFully(entry.fd, data, entry.position, (err) => {
+            if (err) {
+              cb(err);
+            } else {
+              processChunk(chunk, offset, cb);
+            }
+          });
+          entry.position += data.length;
+          return;
+        } else if (entry.chunks !== undefined) {
+          entry.chunks.push(data);
+        } // data of skipped entries is dropped
+      } else {
+        const length = Math.min(entry.padding, chunk.length-offset);
+        offset += length;
+        entry.padding -= length;
+      }
+    }
+    cb();
+  };
+
+  const applyDirectories = (index, cb) => { // children before parents, a read-only parent does not prevent setting the mtime of its children
+    if (index < 0) {
+      cb();
+      return;
+    }
+    const {target, mode, mtime} = directories[index];
+    open(target, fsConstants.O_RDONLY | fsConstants.O_DIRECTORY | fsConstants.O_NOFOLLOW, (err, fd) => { // fails if the directory was replaced by a symlink
+      if (err) {
+        cb(err);
+      } else {
+        fchmod(fd, mode, (err) => {
+          if (err) {
+            fsClose(fd, () => cb(err));
+          } else {
+            futimes(fd, mtime, mtime, (err) => {
+              fsClose(fd, (closeErr) => {
+                if (err || closeErr) {
+                  cb(err || closeErr);
+                } else {
+                  applyDirectories(index-1, cb);
+                }
+              });
+            });
+          }
+        });
+      }
+    });
+  };
+
+  return new Writable({
+    write(chunk, encoding, cb) {
+      processChunk(chunk, 0, cb);
+    },
+    final(cb) {
+      if (ended === false && (entry !== null || pendingHeaderLength > 0)) {
+        cb(new Error('invalid tar archive: unexpected end of archive'));
+      } else {
+        applyDirectories(directories.length-1, cb);
+      }
+    },
+    destroy(err, cb) {
+      if (entry !== null && entry.fd !== null) {
+        fsClose(entry.fd, () => cb(err));
+      } else {
+        cb(err);
+      }
+    }
+  });
+}
+
+function download({bucket, key, version}, {partSizeInMegabytes, maxPartSizeInMegabytes, concurrency, minConcurrency, maxConcurrency, start: windowStartByte, end: windowEndByte, suffixLengthInBytes, expectedETag, checksumMode, maxBufferedBytes, resume, positionalWrites, streaming, decompress, progressIntervalInMilliseconds, hedgeLatencyMultiple, hedgeMinBytesPerSecond, requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds, region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials, sseCustomerKey}, lease) { // lease is null unless parts are scheduled through a shared pool, the slot of the first part is acquired by the caller
+  if (concurrency === 'auto') {
+    if (minConcurrency === undefined || minConcurrency === null) {
+      minConcurrency = 1;
+    } else if (minConcurrency < 1) {
+      throw new Error('minConcurrency > 0');
+    }
+    if (maxConcurrency === undefined || maxConcurrency === null) {
+      maxConcurrency = Math.max(DEFAULT_MAX_CONCURRENCY, minConcurrency);
+    } else if (maxConcurrency < minConcurrency) {
+      throw new Error('maxConcurrency >= minConcurrency');
+    }
+  } else if (concurrency < 1) {
+    throw new Error('concurrency > 0');
+  }
+
+  if (windowStartByte === undefined || windowStartByte === null) {
+    windowStartByte = 0;
+  } else if (windowStartByte < 0) {
+    throw new Error('start >= 0');
+  }
+
+  if (windowEndByte === undefined || windowEndByte === null) {
+    windowEndByte = null;
+  } else if (windowEndByte < windowStartByte) {
+    throw new Error('end >= start');
+  }
+
+  if (suffixLengthInBytes === undefined || suffixLengthInBytes === null) {
+    suffixLengthInBytes = null;
+  } else if (suffixLengthInBytes <= 0) {
+    throw new Error('suffixLengthInBytes > 0');
+  } else if (windowStartByte > 0 || windowEndByte !== null) {
+    throw new Error('suffixLengthInBytes can not be combined with start or end');
+  }
+
+  if (expectedETag === undefined || expectedETag === null) {
+    expectedETag = null;
+  } else if (!expectedETag.startsWith('"')) {
+    expectedETag = `"${expectedETag}"`;
+  }
+
+  if (checksumMode === undefined || checksumMode === null) {
+    checksumMode = null;
+  } else if (checksumMode !== 'ENABLED') {
+    throw new Error('checksumMode = ENABLED');
+  }
+
+  if (maxBufferedBytes === undefined || maxBufferedBytes === null) {
+    maxBufferedBytes = Infinity;
+  } else if (maxBufferedBytes <= 0) {
+    throw new Error('maxBufferedBytes > 0');
+  }
+
+  if (hedgeLatencyMultiple === undefined || hedgeLatencyMultiple === null) {
+    hedgeLatencyMultiple = null;
+  } else if (!(hedgeLatencyMultiple > 1)) {
+    throw new Error('hedgeLatencyMultiple > 1');
+  }
+
+  if (hedgeMinBytesPerSecond === undefined || hedgeMinBytesPerSecond === null) {
+    hedgeMinBytesPerSecond = null;
+  } else if (!(hedgeMinBytesPerSecond > 0)) {
+    throw new Error('hedgeMinBytesPerSecond > 0');
+  }
+
+  if (streaming === undefined || streaming === null) {
+    streaming = false;
+  } else if (streaming === true && checksumMode !== null) { // checksums can only be verified once the part is complete, but streamed bytes are written already
+    throw new Error('streaming can not be combined with checksumMode');
+  } else if (streaming === true && (hedgeLatencyMultiple !== null || hedgeMinBytesPerSecond !== null)) {
+    throw new Error('streaming can not be combined with hedgeLatencyMultiple or hedgeMinBytesPerSecond');
+  }
+
+  if (decompress === undefined || decompress === null) {
+    decompress = false;
+  } else if (decompress !== false && decompress !== 'auto' && !(decompress in DECOMPRESSORS)) {
+    throw new Error('decompress = auto, gzip, br, zstd, or false');
+  } else if (decompress === 'zstd' && DECOMPRESSORS.zstd === undefined) {
+    throw new Error('decompress = zstd requires Node.js 22.15 or later');
+  } else if (decompress !== false && (windowStartByte > 0 || windowEndByte !== null || suffixLengthInBytes !== null)) { // a decompressor needs the stream from the first byte
+    throw new Error('decompress can not be combined with start, end, or suffixLengthInBytes');
+  } else if (decompress !== false && (positionalWrites === true || resume === true)) { // decompressed bytes are written in order and have no offset in the object
+    throw new Error('decompress can not be combined with positionalWrites or resume');
+  }
+
+  if (progressIntervalInMilliseconds === undefined || progressIntervalInMilliseconds === null) {
+    progressIntervalInMilliseconds = 1000;
+  } else if (progressIntervalInMilliseconds < 0) {
+    throw new Error('progressIntervalInMilliseconds >= 0');
+  }
+
+  const s3Options = mapS3Options({region, v2AwsSdkCredentials, endpointHostname, agent, v3AwsSdkCredentials, sseCustomerKey});
+  const retryOptions = {maxAttempts: 5};
+  const timeoutOptions = mapTimeoutOptions({requestTimeoutInMilliseconds, resolveTimeoutInMilliseconds, connectionTimeoutInMilliseconds, readTimeoutInMilliseconds, dataTimeoutInMilliseconds, writeTimeoutInMilliseconds});
   const downloadNo = lastDownloadNo++;
 
   const emitter = new EventEmitter();
-  const partSizeInBytes = mapPartSizeInBytes(partSizeInMegabytes);
-  let stream = null;
+  const partSizeInBytes = mapPartSizeInBytes(partSizeInMegabytes);
+  emitter.on(EVENT_NAME_REQUEST_CONNECTING, () => {
+    requests++;
+  });
+  emitter.on(EVENT_NAME_REQUEST_RETRYING, ({err}) => {
+    countRetry(err);
+  });
+  let adaptiveConcurrency = null;
+  if (concurrency === 'auto') {
+    adaptiveConcurrency = createAdaptiveConcurrency(minConcurrency, maxConcurrency, (concurrency, previousConcurrency, reason) => {
+      emitter.emit(EVENT_NAME_OBJECT_CONCURRENCY_CHANGED, {traceId: getTraceId(), concurrency, previousConcurrency, reason});
+      if (concurrency > previousConcurrency) {
+        process.nextTick(scheduleParts);
+      }
+    });
+    emitter.on(EVENT_NAME_REQUEST_RETRYING, ({err}) => {
+      if (isThrottlingError(err)) {
+        adaptiveConcurrency.throttled();
+      }
+    });
+  }
+  const windowed = (windowStartByte > 0 || windowEndByte !== null || suffixLengthInBytes !== null);
+  if (windowed === true && partSizeInBytes === null) {
+    throw new Error('partSizeInMegabytes required for start, end, or suffixLengthInBytes');
+  }
+  let maxPartSizeInBytes = null;
+  if (!(maxPartSizeInMegabytes === undefined || maxPartSizeInMegabytes === null)) {
+    if (maxPartSizeInMegabytes <= 0) {
+      throw new Error('maxPartSizeInMegabytes > 0');
+    } else if (partSizeInBytes !== null) {
+      throw new Error('maxPartSizeInMegabytes can not be combined with partSizeInMegabytes');
+    }
+    maxPartSizeInBytes = maxPartSizeInMegabytes*1000000;
+  }
+  let stream = null;
+  let decompressedStream = null;
+  let bytesDecompressed = 0;
+
+  let started = false;
+  let partsToDownload = -1;
+  let bytesToDownload = -1;
+  let pinnedETag = expectedETag; // all parts must be downloaded from the same object
+  let pinnedVersion = version;
+  let rangeStartByte = 0; // inclusive
+  let rangeEndByte = -1; // inclusive
+  let nextPartNo = -1; // starts at 1 (not at 0)
+  let plan = null; // parts and ranges of parts to download if maxPartSizeInMegabytes is set
+  let lastWrittenPartNo = 0;
+  let partsWritten = 0;
+  let partsInFlight = 0; // downloading or waiting to be written
+  let hedgesInFlight = 0; // hedged requests occupy a slot of concurrency and of the shared pool like parts
+  let estimatedPartSizeInBytes = -1;
+  const partNosToSkip = new Set();
+  const partNosToRefetch = []; // interrupted by pause
+  const partNosInterrupted = new Set();
+  let paused = false;
+  const partsWaitingForWrite = {};
+  let bytesWaitingForWrite = 0;
+  const partsDownloading = {};
+  const bodiesStreaming = {}; // streamed parts that are still receiving their body
+  const hedgesDownloading = {};
+  const hedgeCandidates = {}; // parts that can be hedged if they turn out to be stragglers
+  let hedgeIntervalId = null;
+  let hedges = 0;
+  let hedgesWon = 0;
+  let aborted = false;
+  let abortError = null;
+  let completed = false; // aborting a completed download has no effect
+  let filePath = null;
+  let checkpoint = null; // records the parts written contiguously from the first part, parts written after a gap are downloaded again on resume
+  const checkpointPartLengths = new Map(); // parts written, but not recorded in the checkpoint yet
+  let checkpointSaving = false;
+  let checkpointDirty = false;
+  let checkpointSavedCallbacks = [];
+  let positionalTarget = null;
+  let positionalTargetCallback = null;
+  let unorderedParts = false; // parts are consumed in completion order
+  let fullObjectChecksum = null;
+  let fullObjectChecksumStatus = null; // verified, or skipped if resumed
+  const partCrcs = {};
+  let lengthInBytes = -1;
+  let bytesResumed = 0; // written before resuming
+  let bytesDownloaded = 0; // parts downloaded completely
+  const bytesDownloading = {}; // bytes received so far per part
+  let bytesWritten = 0;
+  let progressStartedAt = -1;
+  const progressSamples = []; // [timestamp, bytesDownloaded]
+  let progressIntervalId = null;
+  let requests = 0;
+  const retriesByCause = {};
+  let firstByteAt = -1;
+  const partLatenciesInMilliseconds = [];
+  const partBytesPerSecond = [];
+  let downloadSummary = null;
+
+  function write(chunk, cb) {
+    if (!stream.write(chunk, (checkpoint === null) ? undefined : (err) => {
+      if (!err) {
+        recordCheckpointParts();
+      }
+    })) {
+      stream.once('drain', cb);
+    } else {
+      process.nextTick(cb);
+    }
+  }
+
+  function abortDownloads(err) {
+    if (aborted === false && completed === false) {
+      aborted = true;
+      abortError = err;
+      Object.values(partsDownloading).forEach(req => req.abort());
+      Object.values(hedgesDownloading).forEach(req => req.abort());
+      Object.values(bodiesStreaming).forEach(req => req.abort());
+      if (lease !== null) {
+        lease.releaseAll();
+      }
+      if (stream !== null) {
+        stream.destroy(err);
+      }
+      if (positionalTarget !== null) {
+        positionalTarget.close(() => positionalTargetCallback(err));
+      }
+      emitter.emit(EVENT_NAME_END);
+    }
+  }
+
+  function drainWriteQueue() {
+    const nextPartNoToWrite = lastWrittenPartNo+1;
+    const part = partsWaitingForWrite[nextPartNoToWrite];
+    if (part !== undefined) {
+      delete partsWaitingForWrite[nextPartNoToWrite];
+      bytesWaitingForWrite -= Buffer.isBuffer(part.chunk) ? part.chunk.length : 0; // streamed bodies count the chunks they buffer themselves
+      writePart(part.partNo, part.offset, part.chunk, part.cb);
+    }
+  }
+
+  function getTraceId(partNo) {
+    if (partNo !== undefined) {
+      return `download=${downloadNo}:part=${partNo}`;
+    } else {
+      return `download=${downloadNo}`;
+    }
+  }
+
+  function markPartWritten(partNo, chunk) {
+    partsWritten++;
+    bytesWritten += chunk.length;
+    if (fullObjectChecksum !== null) {
+      const crc = CRCS[fullObjectChecksum.algorithm];
+      partCrcs[partNo] = {crc: crc.update(crc.initial, chunk), length: chunk.length};
+    }
+    if (checkpoint !== null) {
+      checkpointPartLengths.set(partNo, chunk.length);
+      recordCheckpointParts();
+    }
+  }
+
+  function recordCheckpointParts() { // sequential writes are recorded once the stream wrote them to the file
+    let recorded = false;
+    while (checkpointPartLengths.has(checkpoint.partsWritten+1)) {
+      const length = checkpointPartLengths.get(checkpoint.partsWritten+1);
+      if (positionalTarget === null && checkpoint.bytesWritten+length > bytesResumed+stream.bytesWritten) {
+        break;
+      }
+      checkpointPartLengths.delete(checkpoint.partsWritten+1);
+      checkpoint.partsWritten++;
+      checkpoint.bytesWritten += length;
+      recorded = true;
+    }
+    if (recorded === true) {
+      saveCheckpoint();
+    }
+  }
+
+  function complete(cb) {
+    if (fullObjectChecksum !== null && partNosToSkip.size > 0) { // parts written before resuming are not available to compute the checksum
+      fullObjectChecksumStatus = 'skipped';
+    } else if (fullObjectChecksum !== null) {
+      const crc = CRCS[fullObjectChecksum.algorithm];
+      let value = crc.initial;
+      for (let partNo = 1; partNo <= partsToDownload; partNo++) {
+        value = crc.combine(value, partCrcs[partNo].crc, partCrcs[partNo].length);
+      }
+      const actual = crc.digest(value);
+      if (actual !== fullObjectChecksum.value) {
+        abortDownloads(new ChecksumMismatchError(`${fullObjectChecksum.algorithm} checksum mismatch for object: expected ${fullObjectChecksum.value}, got ${actual}`));
+        return;
+      }
+      fullObjectChecksumStatus = 'verified';
+    }
+    end(cb);
+  }
+
+  function countRetry(err) { // cause is the error code (e.g., ECONNRESET), the HTTP status code (e.g., 503), or the error name (e.g., ReadTimeoutError)
+    const cause = err.code || ((err.statusCode !== undefined) ? `${err.statusCode}` : err.name);
+    retriesByCause[cause] = (retriesByCause[cause] || 0)+1;
+  }
+
+  function summarize() {
+    downloadSummary = {
+      requests,
+      retries: Object.values(retriesByCause).reduce((acc, retries) => acc+retries, 0),
+      retriesByCause: {...retriesByCause},
+      bytesDownloaded,
+      bytesWritten,
+      bytesDecompressed: (decompress === false) ? null : bytesDecompressed,
+      lengthInBytes,
+      parts: partsToDownload,
+      hedges,
+      hedgesWon,
+      fullObjectChecksum: fullObjectChecksumStatus,
+      durationInMilliseconds: Date.now()-progressStartedAt,
+      timeToFirstByteInMilliseconds: (firstByteAt === -1) ? null : firstByteAt-progressStartedAt,
+      partLatencyInMilliseconds: calculateStats(partLatenciesInMilliseconds),
+      partBytesPerSecond: calculateStats(partBytesPerSecond)
+    };
+    emitter.emit(EVENT_NAME_OBJECT_DOWNLOADED, {traceId: getTraceId(), ...downloadSummary});
+  }
+
+  function end(cb) {
+    completed = true;
+    if (positionalTarget !== null) {
+      positionalTarget.close((err) => {
+        if (!err) {
+          summarize();
+        }
+        cb();
+        positionalTargetCallback(err);
+        emitter.emit(EVENT_NAME_END);
+      });
+    } else {
+      stream.end((err) => {
+        if (!err && decompressedStream === null) { // otherwise summarized once the decompressor flushed its last bytes
+          summarize();
+        }
+        cb();
+      });
+    }
+  }
+
+  function writePart(partNo, offset, chunk, cb) {
+    if (positionalTarget !== null && !Buffer.isBuffer(chunk)) { // the first part was streamed before the target was known
+      chunk.collect((err, buffer) => {
+        if (err) {
+          abortDownloads(err);
+        } else {
+          writePart(partNo, offset, buffer, cb);
+        }
+      });
+    } else if (positionalTarget !== null) {
+      if (aborted === false) {
+        emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(partNo), partNo});
+        positionalTarget.write(partNo, offset, chunk, (err) => {
+          if (err) {
+            abortDownloads(err);
+          } else {
+            markPartWritten(partNo, chunk);
+            if (aborted === false) {
+              if (partsWritten === partsToDownload) {
+                complete(cb);
+              } else {
+                cb();
+              }
+            }
+          }
+        });
+      }
+    } else if (lastWrittenPartNo === (partNo-1)) {
+      emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(partNo), partNo});
+      const written = () => {
+        lastWrittenPartNo = partNo;
+        markPartWritten(partNo, chunk);
+        if (partsWritten === partsToDownload) {
+          complete(cb);
+        } else {
+          process.nextTick(drainWriteQueue);
+          cb();
+        }
+      };
+      if (Buffer.isBuffer(chunk)) {
+        write(chunk, written);
+      } else {
+        chunk.pipe(write, (err) => {
+          if (err) {
+            abortDownloads(err);
+          } else {
+            written();
+          }
+        });
+      }
+    } else {
+      partsWaitingForWrite[partNo] = {partNo, offset, chunk, cb};
+      bytesWaitingForWrite += Buffer.isBuffer(chunk) ? chunk.length : 0;
+    }
+  }
+
+  function getPartOffset(partNo, data) {
+    if (plan !== null) {
+      return plan[partNo-1].startByte;
+    } else if (partSizeInBytes === null) {
+      return parseContentRange(data.ContentRange).startByte;
+    } else {
+      return (partNo-1)*partSizeInBytes;
+    }
+  }
+
+  function saveCheckpoint() {
+    if (checkpointSaving === true) {
+      checkpointDirty = true;
+    } else {
+      checkpointSaving = true;
+      checkpointDirty = false;
+      const saved = (err) => {
+        checkpointSaving = false;
+        if (err) {
+          abortDownloads(err);
+        } else if (checkpointDirty === true) {
+          saveCheckpoint();
+        } else {
+          const callbacks = checkpointSavedCallbacks;
+          checkpointSavedCallbacks = [];
+          callbacks.forEach(cb => cb());
+        }
+      };
+      const snapshot = {...checkpoint};
+      syncTarget((err) => { // the checkpoint must not claim bytes that are not durable yet
+        if (err) {
+          saved(err);
+        } else {
+          writeCheckpoint(filePath, snapshot, saved);
+        }
+      });
+    }
+  }
+
+  function syncTarget(cb) {
+    if (aborted === true || completed === true) { // the file descriptor is closed or about to be closed
+      process.nextTick(cb);
+    } else if (positionalTarget !== null) {
+      positionalTarget.sync(cb);
+    } else {
+      fsync(stream.fd, cb);
+    }
+  }
+
+  function completeCheckpoint(cb) {
+    if (checkpointSaving === true) {
+      checkpointSavedCallbacks.push(() => completeCheckpoint(cb));
+    } else {
+      removeCheckpoint(filePath, cb);
+    }
+  }
+
+  function loadCheckpoint(path, cb) {
+    filePath = path;
+    readCheckpoint(path, (err, existingCheckpoint) => {
+      if (err) {
+        cb(err);
+      } else if (aborted === true) {
+        cb(abortError);
+      } else {
+        meta((err, metadata) => {
+          if (err) {
+            cb(err);
+          } else {
+            const source = {bucket, key, version: (version === undefined) ? null : version};
+            const object = {etag: metadata.etag, version: metadata.version, lengthInBytes: ('objectLengthInBytes' in metadata) ? metadata.objectLengthInBytes : metadata.lengthInBytes};
+            const writeMode = (positionalWrites === true) ? 'positional' : 'sequential';
+            const startFresh = () => {
+              checkpoint = {source, object, range: metadata.range, partSizeInBytes, maxPartSizeInBytes, writeMode, partsWritten: 0, bytesWritten: 0};
+              cb(null, false);
+            };
+            if (existingCheckpoint === null || existingCheckpoint.source.bucket !== source.bucket || existingCheckpoint.source.key !== source.key || existingCheckpoint.source.version !== source.version || JSON.stringify(existingCheckpoint.range) !== JSON.stringify(metadata.range) || existingCheckpoint.partSizeInBytes !== partSizeInBytes || (existingCheckpoint.maxPartSizeInBytes ?? null) !== maxPartSizeInBytes || existingCheckpoint.writeMode !== writeMode || !Number.isInteger(existingCheckpoint.partsWritten)) {
+              startFresh();
+            } else if (existingCheckpoint.object.etag !== object.etag || existingCheckpoint.object.version !== object.version || existingCheckpoint.object.lengthInBytes !== object.lengthInBytes) {
+              cb(new ObjectModifiedError('object changed since checkpoint was written'));
+            } else {
+              stat(path, (err, stats) => {
+                if (err && err.code !== 'ENOENT') {
+                  cb(err);
+                } else if (err || stats.size < existingCheckpoint.bytesWritten) { // target file is gone or truncated
+                  startFresh();
+                } else {
+                  checkpoint = existingCheckpoint;
+                  for (let partNo = 1; partNo <= checkpoint.partsWritten; partNo++) {
+                    partNosToSkip.add(partNo);
+                  }
+                  partsWritten = partNosToSkip.size;
+                  bytesResumed = checkpoint.bytesWritten;
+                  bytesWritten = checkpoint.bytesWritten;
+                  if (writeMode === 'sequential') {
+                    lastWrittenPartNo = partsWritten;
+                  }
+                  cb(null, true);
+                }
+              });
+            }
+          }
+        });
+      }
+    });
+  }
+
+  function verifyPartChecksum(partNo, params, data) {
+    if (checksumMode === null || data.Checksum === undefined || data.Checksum.Value.includes('-')) { // composite checksums of the whole object (suffixed with -${parts}) can not be verified per part
+      return null;
+    }
+    const contentRange = (data.ContentRange === undefined) ? undefined : parseContentRange(data.ContentRange);
+    const wholeObject = contentRange === undefined || (contentRange.startByte === 0 && contentRange.endByte === contentRange.length-1);
+    if (wholeObject || ('PartNumber' in params && data.Checksum.Type !== 'FULL_OBJECT')) {
+      const actual = calculateChecksum(data.Checksum.Algorithm, data.Body);
+      if (actual !== data.Checksum.Value) {
+        return new ChecksumMismatchError(`${data.Checksum.Algorithm} checksum mismatch for part ${partNo}: expected ${data.Checksum.Value}, got ${actual}`);
+      }
+    }
+    return null;
+  }
+
+  function mapPreconditionError(err, params) {
+    if (err.statusCode === 412) {
+      const modifiedErr = new ObjectModifiedError(`object modified, ETag does not match ${params.IfMatch}`);
+      modifiedErr.statusCode = err.statusCode;
+      modifiedErr.code = err.code;
+      return modifiedErr;
+    } else {
+      return err;
+    }
+  }
+
+  function headParts(partNumbers, cb) { // cb(err, ranges) with the byte range of each part, HEADs are cheap but objects can have up to 10,000 parts
+    const limit = (concurrency === 'auto') ? maxConcurrency : concurrency;
+    const ranges = [];
+    let nextIndex = 0;
+    let running = 0;
+    let cbcalled = false;
+    const done = (err, ranges) => {
+      if (cbcalled === false) {
+        cbcalled = true;
+        cb(err, ranges);
+      }
+    };
+    const next = () => {
+      while (cbcalled === false && aborted === false && running < limit && nextIndex < partNumbers.length) {
+        const pooled = (lease !== null && running > 0); // the first HEAD uses the slot acquired for the first part
+        if (pooled === true && lease.acquire(next) === false) { // called again once a slot of the shared pool is available
+          break;
+        }
+        const index = nextIndex++;
+        const params = {
+          Bucket: bucket,
+          Key: key,
+          VersionId: pinnedVersion,
+          IfMatch: pinnedETag,
+          PartNumber: partNumbers[index]
+        };
+        running++;
+        headObject(params, s3Options, retryOptions, timeoutOptions, {emitter, traceId: `${getTraceId()}:head=${partNumbers[index]}`}, (err, data) => {
+          running--;
+          if (pooled === true) {
+            lease.release();
+          }
+          if (err) {
+            done(mapPreconditionError(err, params));
+          } else {
+            ranges[index] = parseContentRange(data.ContentRange);
+            if (ranges[index] === undefined) {
+              done(new Error(`unexpected S3 content range: ${data.ContentRange}`));
+            } else {
+              next();
+            }
+          }
+        });
+      }
+      if (running === 0 && aborted === true) {
+        done(abortError);
+      } else if (running === 0 && nextIndex === partNumbers.length) {
+        done(null, ranges);
+      }
+    };
+    next();
+  }
+
+  function fetchPlannedFirstPart(cb) { // HEADs all parts to know their boundaries before the first part or range is downloaded
+    const params = {
+      Bucket: bucket,
+      Key: key,
+      VersionId: version,
+      IfMatch: expectedETag,
+      PartNumber: 1
+    };
+    headObject(params, s3Options, retryOptions, timeoutOptions, {emitter, traceId: `${getTraceId()}:head=1`}, (err, data) => {
+      if (err && err.statusCode === 416) { // empty object
+        cb(null, {Body: Buffer.alloc(0), ContentLength: 0});
+      } else if (err) {
+        cb(mapPreconditionError(err, params));
+      } else if (data.ContentLength === 0) {
+        cb(null, data);
+      } else {
+        const contentRange = parseContentRange(data.ContentRange);
+        if (contentRange === undefined) {
+          cb(new Error(`unexpected S3 content range: ${data.ContentRange}`));
+        } else {
+          pinnedETag = data.ETag ?? pinnedETag;
+          pinnedVersion = data.VersionId ?? pinnedVersion;
+          const partsCount = ('PartsCount' in data) ? data.PartsCount : 1;
+          const partNumbers = Array.from({length: partsCount-1}, (_, i) => i+2);
+          headParts(partNumbers, (err, ranges) => {
+            if (err) {
+              cb(err);
+            } else {
+              plan = planParts([contentRange, ...ranges], maxPartSizeInBytes);
+              fetchPartBody(1, getPartParams(1), (err, firstPart) => {
+                if (err) {
+                  cb(err);
+                } else {
+                  if ('PartsCount' in data) {
+                    firstPart.PartsCount = data.PartsCount;
+                  }
+                  cb(null, firstPart);
+                }
+              });
+            }
+          });
+        }
+      }
+    });
+  }
+
+  function fetchPartStreamed(partNo, params, cb) { // cb(err, data) once the response headers arrived, data.Body buffers the body until it is piped, interrupted bodies are resumed with a range request
+    const startedAt = Date.now();
+    const chunks = []; // received, but not written yet
+    let range = null; // of the whole part
+    let etag = params.IfMatch;
+    let receivedBytes = 0;
+    let resumes = 0;
+    let res = null;
+    let ended = false;
+    let cancelled = false;
+    let failedErr = null;
+    let sink = null;
+    let sinkCallback = null;
+    let writing = false;
+    let downloadedCallback = null;
+    const dropChunks = () => {
+      chunks.splice(0).forEach(chunk => {
+        bytesWaitingForWrite -= chunk.length;
+      });
+    };
+    const pump = () => {
+      if (sink === null || writing === true) {
+        return;
+      }
+      if (failedErr !== null || (chunks.length === 0 && ended === true)) {
+        const cb = sinkCallback;
+        sink = null;
+        sinkCallback = null;
+        cb(failedErr);
+      } else if (chunks.length > 0) {
+        const chunk = chunks.shift();
+        bytesWaitingForWrite -= chunk.length;
+        writing = true;
+        sink(chunk, () => {
+          writing = false;
+          pump();
+        });
+      } else {
+        res.resume();
+      }
+    };
+    const fail = (err) => {
+      failedErr = err;
+      dropChunks();
+      if (sink !== null) {
+        pump();
+      } else if (nextPartNo !== -1) { // the first part fails once it is piped
+        abortDownloads(err);
+      }
+    };
+    const read = () => {
+      res.on('data', (chunk) => {
+        receivedBytes += chunk.length;
+        chunks.push(chunk);
+        bytesWaitingForWrite += chunk.length;
+        if (sink !== null) {
+          res.pause();
+          pump();
+        }
+      });
+      finished(res, (err) => {
+        delete bodiesStreaming[partNo];
+        if (cancelled === true) {
+          dropChunks();
+        } else if (!err && receivedBytes === body.length) {
+          const latencyInMilliseconds = Math.max(Date.now()-startedAt, 1);
+          delete bytesDownloading[partNo];
+          bytesDownloaded += body.length;
+          partLatenciesInMilliseconds.push(latencyInMilliseconds);
+          partBytesPerSecond.push(body.length/(latencyInMilliseconds/1000));
+          ended = true;
+          downloadedCallback?.();
+          pump();
+        } else {
+          delete bytesDownloading[partNo];
+          const bodyErr = err || new Error(`incomplete body of part ${partNo}: received ${receivedBytes} of ${body.length} bytes`);
+          if (aborted === false && range !== undefined && resumes < retryOptions.maxAttempts) {
+            resumes++;
+            emitter.emit(EVENT_NAME_REQUEST_RETRYING, {traceId: `${getTraceId(partNo)}:resume=${resumes}`, attempt: resumes+1, delayInMilliseconds: 0, err: bodyErr});
+            requestRemainder({Bucket: bucket, Key: key, VersionId: pinnedVersion, IfMatch: etag, Range: `bytes=${range.startByte+receivedBytes}-${range.endByte}`});
+          } else {
+            fail(bodyErr);
+          }
+        }
+      });
+    };
+    const body = {
+      length: -1,
+      pipe: (write, cb) => { // write(chunk, cb) is called for each chunk, cb(err) once the whole body is written
+        sink = write;
+        sinkCallback = cb;
+        pump();
+      },
+      collect: (cb) => {
+        const buffers = [];
+        body.pipe((chunk, cb) => {
+          buffers.push(chunk);
+          process.nextTick(cb);
+        }, (err) => {
+          if (err) {
+            cb(err);
+          } else {
+            cb(null, Buffer.concat(buffers));
+          }
+        });
+      },
+      downloaded: (cb) => { // cb() once the body is received completely
+        if (ended === true) {
+          cb();
+        } else {
+          downloadedCallback = cb;
+        }
+      },
+      cancel: () => {
+        cancelled = true;
+        bodiesStreaming[partNo]?.abort();
+      }
+    };
+    const requestRemainder = (params) => { // the whole part first, the bytes not received yet after an interruption
+      const resumedBytes = receivedBytes;
+      const onBodyBytes = (bytes) => {
+        if (firstByteAt === -1) {
+          firstByteAt = Date.now();
+        }
+        bytesDownloading[partNo] = resumedBytes+bytes;
+        sampleProgress(false);
+      };
+      const req = getObject(params, s3Options, retryOptions, timeoutOptions, {emitter, traceId: getTraceId(partNo), onBodyBytes, streamBody: true}, (err, data) => {
+        delete partsDownloading[partNo];
+        if (err && res === null) {
+          delete bytesDownloading[partNo];
+          cb(mapPreconditionError(err, params));
+        } else if (err) {
+          delete bodiesStreaming[partNo];
+          fail(mapPreconditionError(err, params));
+        } else {
+          bodiesStreaming[partNo] = req;
+          const first = (res === null);
+          res = data.Body;
+          read();
+          if (first === true) {
+            range = parseContentRange(data.ContentRange);
+            etag = data.ETag ?? etag;
+            body.length = data.ContentLength;
+            cb(null, {...data, Body: body});
+          }
+        }
+      });
+      if (res === null) {
+        partsDownloading[partNo] = req; // interrupted by pause() until the response starts
+      } else {
+        bodiesStreaming[partNo] = req;
+      }
+    };
+    requestRemainder(params);
+  }
+
+  function fetchPartBody(partNo, params, cb) {
+    if (streaming === true && positionalTarget === null) {
+      fetchPartStreamed(partNo, params, cb);
+    } else {
+      fetchPart(partNo, params, cb);
+    }
+  }
+
+  function discardBody(body) {
+    if (!Buffer.isBuffer(body)) {
+      body.cancel();
+    }
+  }
+
+  function fetchPart(partNo, params, cb, race, hedge) { // race is shared by the original and the hedged request of a part
+    const startedAt = Date.now();
+    const requests = (hedge === true) ? hedgesDownloading : partsDownloading;
+    const attempt = (attemptNo) => {
+      const onBodyBytes = (bytes) => { // a retried request starts from zero again
+        if (firstByteAt === -1) {
+          firstByteAt = Date.now();
+        }
+        if (hedge !== true) {
+          bytesDownloading[partNo] = bytes;
+          sampleProgress(false);
+        }
+      };
+      const traceId = (hedge === true) ? `${getTraceId(partNo)}:hedge=1` : getTraceId(partNo);
+      requests[partNo] = getObject({...params, ChecksumMode: checksumMode}, s3Options, retryOptions, timeoutOptions, {emitter, traceId, onBodyBytes}, (err, data) => {
+        delete requests[partNo];
+        if (hedge !== true) {
+          delete bytesDownloading[partNo];
+        }
+        if (err) {
+          cb(mapPreconditionError(err, params));
+        } else {
+          const checksumErr = verifyPartChecksum(partNo, params, data);
+          if (checksumErr === null) {
+            if (race === undefined || race.settled === false) { // the loser of a race is not counted
+              const latencyInMilliseconds = Math.max(Date.now()-startedAt, 1);
+              bytesDownloaded += data.Body.length;
+              partLatenciesInMilliseconds.push(latencyInMilliseconds);
+              partBytesPerSecond.push(data.Body.length/(latencyInMilliseconds/1000));
+            }
+            cb(null, data);
+          } else if (attemptNo < retryOptions.maxAttempts && aborted === false) {
+            countRetry(checksumErr);
+            attempt(attemptNo+1);
+          } else {
+            cb(checksumErr);
+          }
+        }
+      });
+    };
+    attempt(1);
+  }
+
+  function getPartParams(partNo) {
+    const params = {
+      Bucket: bucket,
+      Key: key,
+      VersionId: pinnedVersion,
+      IfMatch: pinnedETag
+    };
+    if (plan !== null && plan[partNo-1].partNumber !== null) {
+      params.PartNumber = plan[partNo-1].partNumber;
+    } else if (plan !== null) {
+      params.Range = `bytes=${plan[partNo-1].startByte}-${plan[partNo-1].endByte}`;
+    } else if (partSizeInBytes === null) {
+      params.PartNumber = partNo;
+    } else {
+      const startByte = rangeStartByte+(partNo-1)*partSizeInBytes; // inclusive
+      const endByte = Math.min(startByte+partSizeInBytes-1, rangeEndByte); // inclusive
+      params.Range = `bytes=${startByte}-${endByte}`;
+    }
+    return params;
+  }
+
+  function downloadPart(partNo, cb) {
+    const params = getPartParams(partNo);
+    if (hedgeLatencyMultiple === null && hedgeMinBytesPerSecond === null) {
+      fetchPartBody(partNo, params, cb);
+    } else {
+      fetchPartHedged(partNo, params, cb);
+    }
+  }
+
+  function fetchPartHedged(partNo, params, cb) { // a hedged request races a straggler, the first to finish wins, the loser is aborted
+    const race = {settled: false};
+    let running = 1;
+    let hedged = false;
+    const finish = (hedge) => (err, data) => {
+      running--;
+      if (race.settled === true) {
+        return;
+      }
+      if (err && running > 0 && !partNosInterrupted.has(partNo)) { // the other request might still succeed
+        return;
+      }
+      race.settled = true;
+      delete hedgeCandidates[partNo];
+      if (running > 0) {
+        const loser = (hedge === true) ? partsDownloading[partNo] : hedgesDownloading[partNo];
+        if (loser !== undefined) {
+          loser.abort();
+        }
+      }
+      if (!err && hedged === true) {
+        if (hedge === true) {
+          hedgesWon++;
+        }
+        emitter.emit(EVENT_NAME_PART_HEDGED, {traceId: getTraceId(partNo), partNo, winner: (hedge === true) ? 'hedge' : 'original'});
+      }
+      cb(err, data);
+    };
+    hedgeCandidates[partNo] = {
+      startedAt: Date.now(),
+      hedge: (reason, elapsedInMilliseconds) => {
+        hedges++;
+        hedgesInFlight++;
+        running++;
+        hedged = true;
+        emitter.emit(EVENT_NAME_PART_HEDGING, {traceId: getTraceId(partNo), partNo, reason, elapsedInMilliseconds});
+        const finishHedge = finish(true);
+        fetchPart(partNo, params, (err, data) => {
+          hedgesInFlight--;
+          releasePartSlot();
+          process.nextTick(scheduleParts);
+          finishHedge(err, data);
+        }, race, true);
+      }
+    };
+    fetchPart(partNo, params, finish(false), race, false);
+  }
+
+  function checkStragglers() {
+    if (paused === true) {
+      return;
+    }
+    const now = Date.now();
+    const p90LatencyInMilliseconds = (hedgeLatencyMultiple !== null && partLatenciesInMilliseconds.length >= HEDGE_MIN_PART_LATENCIES) ? calculateStats(partLatenciesInMilliseconds).p90 : null;
+    Object.entries(hedgeCandidates).forEach(([partNo, candidate]) => {
+      const elapsedInMilliseconds = now-candidate.startedAt;
+      let reason = null;
+      if (p90LatencyInMilliseconds !== null && elapsedInMilliseconds > p90LatencyInMilliseconds*hedgeLatencyMultiple) {
+        reason = 'latency';
+      } else if (hedgeMinBytesPerSecond !== null && elapsedInMilliseconds >= HEDGE_MIN_THROUGHPUT_WINDOW_IN_MILLISECONDS && (bytesDownloading[partNo] || 0)/(elapsedInMilliseconds/1000) < hedgeMinBytesPerSecond) {
+        reason = 'throughput';
+      }
+      if (reason !== null && partsInFlight+hedgesInFlight < getEffectiveConcurrency() && (lease === null || lease.acquire() === true)) { // checked again on the next interval otherwise
+        delete hedgeCandidates[partNo]; // hedge once
+        candidate.hedge(reason, elapsedInMilliseconds);
+      }
+    });
+  }
+
+  function downloadNextPart() {
+    while (partNosToSkip.has(nextPartNo)) {
+      nextPartNo++;
+    }
+    if (partNosToRefetch.length > 0 || nextPartNo <= partsToDownload) {
+      const partNo = (partNosToRefetch.length > 0) ? partNosToRefetch.shift() : nextPartNo++;
+      partsInFlight++;
+      emitter.emit(EVENT_NAME_PART_DOWNLOADING, {traceId: getTraceId(partNo), partNo});
+      downloadPart(partNo, (err, data) => {
+        if (err && partNosInterrupted.has(partNo)) { // fetched again on resume
+          partNosInterrupted.delete(partNo);
+          partNosToRefetch.push(partNo);
+          partsInFlight--;
+          releasePartSlot();
+          process.nextTick(scheduleParts);
+        } else if (err) {
+          abortDownloads(err);
+        } else {
+          partNosInterrupted.delete(partNo); // completed before the request was aborted
+          const downloaded = () => {
+            emitter.emit(EVENT_NAME_PART_DOWNLOADED, {traceId: getTraceId(partNo), partNo});
+            if (adaptiveConcurrency !== null) {
+              adaptiveConcurrency.partDownloaded(data.Body.length);
+            }
+          };
+          if (Buffer.isBuffer(data.Body)) {
+            downloaded();
+          } else {
+            data.Body.downloaded(downloaded);
+          }
+          writePart(partNo, getPartOffset(partNo, data), data.Body, () => {
+            partsInFlight--;
+            releasePartSlot();
+            emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(partNo), partNo});
+            process.nextTick(scheduleParts);
+          });
+        }
+      });
+      return true;
+    } else {
+      return false;
+    }
+  }
+
+  function getBufferedBytes() { // downloaded, but not yet consumed
+    let bytes = bytesWaitingForWrite;
+    if (stream !== null) {
+      bytes += stream.writableLength;
+      if (stream.readableLength !== undefined) {
+        bytes += stream.readableLength;
+      }
+    }
+    return bytes;
+  }
+
+  function isWithinBufferBudget() {
+    if (partsInFlight === 0) { // always make progress
+      return true;
+    }
+    const bytesDownloading = (Object.keys(partsDownloading).length+Object.keys(bodiesStreaming).length+1)*estimatedPartSizeInBytes;
+    return getBufferedBytes()+bytesDownloading <= maxBufferedBytes;
+  }
+
+  function getEffectiveConcurrency() {
+    return (adaptiveConcurrency === null) ? concurrency : adaptiveConcurrency.get();
+  }
+
+  function scheduleParts() {
+    const effectiveConcurrency = getEffectiveConcurrency();
+    while (aborted === false && paused === false && partsInFlight+hedgesInFlight < effectiveConcurrency && isWithinBufferBudget()) {
+      if (lease !== null && lease.acquire(scheduleParts) === false) { // called again once a slot of the shared pool is available
+        break;
+      }
+      if (downloadNextPart() === false) {
+        releasePartSlot();
+        break;
+      }
+    }
+  }
+
+  function releasePartSlot() {
+    if (lease !== null) {
+      lease.release();
+    }
+  }
+
+  function startHedging() {
+    if ((hedgeLatencyMultiple !== null || hedgeMinBytesPerSecond !== null) && hedgeIntervalId === null) {
+      hedgeIntervalId = setInterval(checkStragglers, HEDGE_CHECK_INTERVAL_IN_MILLISECONDS);
+      emitter.once(EVENT_NAME_END, () => clearInterval(hedgeIntervalId));
+    }
+  }
+
+  function startDownloadingParts() {
+    startHedging();
+    if (stream !== null && maxBufferedBytes !== Infinity) {
+      stream.on('drain', scheduleParts);
+    }
+    scheduleParts();
+  }
+
+  function getBytesDownloaded() {
+    return Object.values(bytesDownloading).reduce((acc, bytes) => acc+bytes, bytesDownloaded);
+  }
+
+  function sampleProgress(force) {
+    const now = Date.now();
+    if (force === true || progressSamples.length === 0 || now-progressSamples[progressSamples.length-1][0] >= PROGRESS_SAMPLE_RATE_IN_MILLISECONDS) {
+      progressSamples.push([now, getBytesDownloaded()]);
+      while (progressSamples.length > 2 && now-progressSamples[1][0] >= PROGRESS_THROUGHPUT_WINDOW_IN_MILLISECONDS) {
+        progressSamples.shift();
+      }
+    }
+  }
+
+  function progress() {
+    const now = Date.now();
+    const bytes = getBytesDownloaded();
+    const elapsedInSeconds = (progressStartedAt === -1) ? 0 : (now-progressStartedAt)/1000;
+    const meanBytesPerSecond = (elapsedInSeconds > 0) ? bytes/elapsedInSeconds : 0;
+    let bytesPerSecond = meanBytesPerSecond;
+    if (progressSamples.length > 0 && now-progressSamples[0][0] > 0) { // throughput within the window
+      bytesPerSecond = (bytes-progressSamples[0][1])/((now-progressSamples[0][0])/1000);
+    }
+    let etaInSeconds = null;
+    if (lengthInBytes !== -1) {
+      const bytesRemaining = Math.max(lengthInBytes-bytesResumed-bytes, 0);
+      if (bytesRemaining === 0) {
+        etaInSeconds = 0;
+      } else if (bytesPerSecond > 0) {
+        etaInSeconds = bytesRemaining/bytesPerSecond;
+      }
+    }
+    return {
+      bytesDownloaded: bytesResumed+bytes,
+      bytesWritten,
+      bytesDecompressed: (decompress === false) ? null : bytesDecompressed,
+      lengthInBytes: (lengthInBytes === -1) ? null : lengthInBytes,
+      partsDone: partsWritten,
+      partsTotal: (partsToDownload === -1) ? null : partsToDownload,
+      bytesPerSecond,
+      meanBytesPerSecond,
+      etaInSeconds
+    };
+  }
+
+  function startProgress() {
+    progressStartedAt = Date.now();
+    sampleProgress(true);
+    if (progressIntervalInMilliseconds > 0) {
+      progressIntervalId = setInterval(() => {
+        sampleProgress(true);
+        emitter.emit(EVENT_NAME_OBJECT_PROGRESS, {traceId: getTraceId(), ...progress()});
+      }, progressIntervalInMilliseconds);
+      emitter.once(EVENT_NAME_END, () => {
+        clearInterval(progressIntervalId);
+        if (aborted === false) { // final progress
+          emitter.emit(EVENT_NAME_OBJECT_PROGRESS, {traceId: getTraceId(), ...progress()});
+        }
+      });
+    }
+  }
+
+  let metadataCache = null;
+
+  function meta(cb) {
+    if (metadataCache === null) {
+      metadataCache = new Promise((resolve, reject) => {
+        const params = {
+          Bucket: bucket,
+          Key: key,
+          VersionId: version,
+          IfMatch: expectedETag
+        };
+        if (partSizeInBytes === null) {
+          params.PartNumber = 1;
+        } else if (suffixLengthInBytes !== null) {
+          if (suffixLengthInBytes <= partSizeInBytes) {
+            params.Range = `bytes=-${suffixLengthInBytes}`;
+          } else { // first byte of the window is unknown until the object length is known
+            params.Range = 'bytes=-1';
+          }
+        } else {
+          const endByte = (windowEndByte === null) ? windowStartByte+partSizeInBytes-1 : Math.min(windowStartByte+partSizeInBytes-1, windowEndByte); // inclusive
+          params.Range = `bytes=${windowStartByte}-${endByte}`;
+        }
+        const fetchFirstPart = (params, cb) => fetchPartBody(1, params, cb);
+        const emptyMetadata = (windowed === true) ? {lengthInBytes: 0, objectLengthInBytes: 0} : {lengthInBytes: 0};
+        const onFirstPart = (err, data) => {
+          if (err) {
+            if (err.code === 'InvalidRange' && windowStartByte === 0) {
+              resolve({metadata: emptyMetadata, body: Buffer.alloc(0)});
+            } else {
+              reject(err);
+            }
+          } else {
+            if (data.ContentLength === 0) {
+              resolve({metadata: emptyMetadata, body: Buffer.alloc(0)});
+            } else {
+              const contentRange = parseContentRange(data.ContentRange);
+              if (contentRange === undefined) {
+                discardBody(data.Body);
+                reject(new Error(`unexpected S3 content range: ${data.ContentRange}`));
+              } else {
+                const metadata = {
+                  lengthInBytes: contentRange.length
+                };
+                if ('PartsCount' in data) {
+                  metadata.parts = data.PartsCount;
+                }
+                if ('ETag' in data) {
+                  metadata.etag = data.ETag;
+                  pinnedETag = data.ETag;
+                }
+                if ('VersionId' in data) {
+                  metadata.version = data.VersionId;
+                  pinnedVersion = data.VersionId;
+                }
+                if ('ContentEncoding' in data) {
+                  metadata.contentEncoding = data.ContentEncoding;
+                }
+                if (windowed === false) {
+                  rangeEndByte = contentRange.length-1;
+                  if (checksumMode !== null && 'Checksum' in data && data.Checksum.Type === 'FULL_OBJECT' && data.Checksum.Algorithm in CRCS && contentRange.endByte < rangeEndByte) {
+                    fullObjectChecksum = {algorithm: data.Checksum.Algorithm, value: data.Checksum.Value};
+                  }
+                  resolve({metadata, body: data.Body});
+                } else {
+                  rangeStartByte = (suffixLengthInBytes === null) ? windowStartByte : Math.max(contentRange.length-suffixLengthInBytes, 0);
+                  rangeEndByte = (windowEndByte === null) ? contentRange.length-1 : Math.min(windowEndByte, contentRange.length-1);
+                  metadata.lengthInBytes = rangeEndByte-rangeStartByte+1;
+                  metadata.objectLengthInBytes = contentRange.length;
+                  metadata.range = {start: rangeStartByte, end: rangeEndByte};
+                  const firstPartEndByte = Math.min(rangeStartByte+partSizeInBytes-1, rangeEndByte); // inclusive
+                  if (contentRange.startByte === rangeStartByte && contentRange.endByte === firstPartEndByte) {
+                    resolve({metadata, body: data.Body});
+                  } else {
+                    discardBody(data.Body);
+                    fetchFirstPart({...params, VersionId: pinnedVersion, IfMatch: pinnedETag, Range: `bytes=${rangeStartByte}-${firstPartEndByte}`}, (err, data) => {
+                      if (err) {
+                        reject(err);
+                      } else {
+                        resolve({metadata, body: data.Body});
+                      }
+                    });
+                  }
+                }
+              }
+            }
+          }
+        };
+        if (maxPartSizeInBytes === null) {
+          fetchFirstPart(params, onFirstPart);
+        } else {
+          fetchPlannedFirstPart(onFirstPart);
+        }
+      });
+    }
+    metadataCache.then(({metadata, body}) => {
+      cb(null, metadata, body);
+    }).catch(cb);
+  }
+
+  function start() {
+    if (stream !== null) {
+      stream.once('close', () => emitter.emit(EVENT_NAME_END));
+    }
+    startProgress();
+    emitter.emit(EVENT_NAME_PART_DOWNLOADING, {traceId: getTraceId(1), partNo: 1});
+    meta((err, metadata, body) => {
+      if (err) {
+        abortDownloads(err);
+      } else {
+        emitter.emit(EVENT_NAME_OBJECT_DOWNLOADING, {traceId: getTraceId(), ...metadata});
+        emitter.emit(EVENT_NAME_PART_DOWNLOADED, {traceId: getTraceId(1), partNo: 1});
+        lengthInBytes = metadata.lengthInBytes;
+        if (plan !== null) {
+          partsToDownload = plan.length;
+        } else if (partSizeInBytes === null) {
+          partsToDownload = ('parts' in metadata) ? metadata.parts : 1;
+        } else {
+          bytesToDownload = metadata.lengthInBytes;
+          partsToDownload = Math.max(Math.ceil(bytesToDownload/partSizeInBytes), 1);
+        }
+        nextPartNo = 2;
+        estimatedPartSizeInBytes = (partSizeInBytes === null) ? body.length : partSizeInBytes;
+        if (!partNosToSkip.has(1) && unorderedParts === true) { // the consumer may hold on to the first part while other parts download
+          partsInFlight++;
+          writePart(1, 0, body, () => {
+            partsInFlight--;
+            releasePartSlot();
+            emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
+            process.nextTick(scheduleParts);
+          });
+          startDownloadingParts();
+        } else if (!partNosToSkip.has(1)) {
+          writePart(1, 0, body, () => {
+            releasePartSlot();
+            emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
+            startDownloadingParts();
+          });
+        } else if (partsWritten === partsToDownload) { // resumed, all parts written already
+          discardBody(body);
+          releasePartSlot();
+          end(() => {});
+        } else { // resumed, skip parts written already
+          discardBody(body);
+          releasePartSlot();
+          startDownloadingParts();
+        }
+      }
+    });
+  }
+
+  function readStream() {
+    if (started === false)  {
+      started = true;
+      stream = new PassThrough();
+      if (decompress !== false) {
+        decompressedStream = createDecompressedStream();
+      }
+      start();
+    }
+    return (decompressedStream !== null) ? decompressedStream : stream;
+  }
+
+  function createDecompressedStream() { // the decompressor is inserted once the encoding is known
+    const output = new Transform({
+      transform(chunk, encoding, cb) {
+        bytesDecompressed += chunk.length;
+        cb(null, chunk);
+      },
+      flush(cb) {
+        summarize();
+        cb();
+      }
+    });
+    const onError = (err) => output.destroy(err);
+    const pipe = (encoding) => {
+      if (encoding !== null && DECOMPRESSORS[encoding] === undefined) {
+        abortDownloads(new Error(`decompress = ${encoding} requires Node.js 22.15 or later`));
+        return;
+      }
+      stream.off('error', onError);
+      const streams = (encoding === null) ? [stream, output] : [stream, DECOMPRESSORS[encoding](), output];
+      pipeline(...streams, (err) => {
+        if (err) {
+          abortDownloads(err); // the consumer destroyed the stream or the data is corrupt
+        }
+      });
+    };
+    stream.once('error', onError);
+    meta((err, metadata) => {
+      if (err) {
+        output.destroy(err);
+      } else if (metadata.lengthInBytes === 0) {
+        pipe(null);
+      } else if (decompress !== 'auto') {
+        pipe(decompress);
+      } else {
+        const encoding = detectEncoding(metadata.contentEncoding, key);
+        if (encoding !== null) {
+          pipe(encoding);
+        } else {
+          peekBytes(stream, (err, head) => {
+            if (!err) { // errors are forwarded by onError
+              pipe(detectEncodingByMagicBytes(head));
+            }
+          });
+        }
+      }
+    });
+    return output;
+  }
+
+  function file(path, cb) {
+    if (decompress !== false && started === true) { // the decompressed stream is already consumed by someone else
+      cb(new Error('download already started'));
+      return;
+    }
+    if (decompress !== false) { // decompressed bytes have no offset in the object, they are piped in order
+      pipeline(readStream(), createWriteStream(path), (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          cb(null, downloadSummary);
+        }
+      });
+      return;
+    }
+    let calledback = false;
+    const listen = () => {
+      stream.once('close', () => {
+        if (calledback === false) {
+          calledback = true;
+          if (checkpoint !== null) {
+            completeCheckpoint((err) => cb(err, downloadSummary));
+          } else {
+            cb(null, downloadSummary);
+          }
+        }
+      });
+      stream.once('error', (err) => {
+        if (calledback === false) {
+          calledback = true;
+          cb(err);
+        }
+      });
+    };
+    const openTarget = (resumed) => {
+      if (positionalWrites === true) {
+        meta((err, metadata) => {
+          if (err) {
+            cb(err);
+          } else {
+            openPositionalFile(path, resumed ? 'r+' : 'w', metadata.lengthInBytes, (err, file) => {
+              if (err) {
+                cb(err);
+              } else if (aborted === true) {
+                file.close(() => cb(abortError));
+              } else {
+                positionalTarget = file;
+                positionalTargetCallback = (err) => {
+                  if (calledback === false) {
+                    calledback = true;
+                    if (err) {
+                      cb(err);
+                    } else if (checkpoint !== null) {
+                      completeCheckpoint((err) => cb(err, downloadSummary));
+                    } else {
+                      cb(null, downloadSummary);
+                    }
+                  }
+                };
+                start();
+              }
+            });
+          }
+        });
+      } else {
+        stream = createWriteStream(path, resumed ? {flags: 'r+', start: checkpoint.bytesWritten} : {});
+        listen();
+        start();
+      }
+    };
+    if (started === false)  {
+      started = true;
+      if (resume === true) {
+        loadCheckpoint(path, (err, resumed) => {
+          if (err) {
+            cb(err);
+          } else {
+            openTarget(resumed);
+          }
+        });
+      } else {
+        openTarget(false);
+      }
+    } else if (stream !== null) {
+      listen();
+    }
+  }
+
+  function webStream() {
+    const readable = readStream();
+    readable.on('error', () => {}); // errors are forwarded in pull
+    return new ReadableStream({
+      pull: (controller) => new Promise((resolve) => {
+        const read = () => {
+          const chunk = readable.read();
+          if (chunk !== null) {
+            cleanup();
+            controller.enqueue(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+            resolve();
+          }
+        };
+        const onEnd = () => {
+          cleanup();
+          controller.close();
+          resolve();
+        };
+        const onError = (err) => {
+          cleanup();
+          controller.error(err);
+          resolve();
+        };
+        const cleanup = () => {
+          readable.off('readable', read);
+          readable.off('end', onEnd);
+          readable.off('error', onError);
+        };
+        if (readable.errored) {
+          onError(readable.errored);
+        } else if (readable.readableEnded) {
+          onEnd();
+        } else {
+          readable.on('readable', read);
+          readable.once('end', onEnd);
+          readable.once('error', onError);
+          read();
+        }
+      }),
+      cancel: (reason) => {
+        abort((reason instanceof Error) ? reason : undefined);
+      }
+    });
+  }
+
+  function abort(err) {
+    if (err === undefined || err === null) {
+      err = new Error('aborted');
+    }
+    abortDownloads(err);
+  }
+
+  function pauseDownload({abortInFlight} = {}) {
+    if (aborted === false && paused === false) {
+      paused = true;
+      const interruptedPartNos = [];
+      if (abortInFlight === true && nextPartNo !== -1) { // the metadata request (first part) is never interrupted
+        Object.keys(partsDownloading).map(partNo => parseInt(partNo, 10)).forEach(partNo => {
+          partNosInterrupted.add(partNo);
+          interruptedPartNos.push(partNo);
+          partsDownloading[partNo].abort();
+          if (hedgesDownloading[partNo] !== undefined) {
+            hedgesDownloading[partNo].abort();
+          }
+        });
+      }
+      emitter.emit(EVENT_NAME_OBJECT_PAUSED, {traceId: getTraceId(), interruptedPartNos});
+    }
+  }
+
+  function resumeDownload() {
+    if (aborted === false && paused === true) {
+      paused = false;
+      emitter.emit(EVENT_NAME_OBJECT_RESUMED, {traceId: getTraceId()});
+      if (nextPartNo !== -1) {
+        process.nextTick(scheduleParts);
+      }
+    }
+  }
+
+  function into(target, offset, cb) { // parts are copied into their slot as they arrive, in any order
+    const view = toUint8Array(target);
+    if (view === null) {
+      cb(new Error('invalid buffer'));
+      return;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      cb(new Error('invalid offset'));
+      return;
+    }
+    if (started === true) {
+      cb(new Error('download already started'));
+      return;
+    }
+    started = true;
+    meta((err, metadata) => {
+      if (err) {
+        abortDownloads(err);
+        cb(err);
+      } else if (offset+metadata.lengthInBytes > view.length) {
+        const err = new Error(`buffer too small: ${metadata.lengthInBytes} bytes required at offset ${offset}, ${view.length} bytes available`);
+        abortDownloads(err);
+        cb(err);
+      } else if (aborted === true) {
+        cb(abortError);
+      } else {
+        let calledback = false;
+        positionalTarget = createPositionalBuffer(view, offset);
+        positionalTargetCallback = (err) => {
+          if (calledback === false) {
+            calledback = true;
+            if (err) {
+              cb(err);
+            } else {
+              cb(null, target);
+            }
+          }
+        };
+        start();
+      }
+    });
+  }
+
+  function parts() { // yields parts in completion order, a part is released when the consumer asks for the next one
+    const queue = [];
+    let notify = null;
+    let ended = false;
+    let error = null;
+    const wake = () => {
+      if (notify !== null) {
+        const resolve = notify;
+        notify = null;
+        resolve();
+      }
+    };
+    return (async function* () {
+      if (started === true) {
+        throw new Error('download already started');
+      }
+      started = true;
+      unorderedParts = true;
+      positionalTarget = {
+        write: (partNo, position, chunk, cb) => {
+          queue.push({part: {partNo, offset: position, length: chunk.length, body: chunk}, cb});
+          bytesWaitingForWrite += chunk.length;
+          wake();
+        },
+        close: (cb) => process.nextTick(cb)
+      };
+      positionalTargetCallback = (err) => {
+        ended = true;
+        if (err) {
+          error = err;
+        }
+        wake();
+      };
+      start();
+      try {
+        for (;;) {
+          if (error !== null) {
+            throw error;
+          } else if (queue.length > 0) {
+            const {part, cb} = queue.shift();
+            yield part;
+            bytesWaitingForWrite -= part.length;
+            cb();
+          } else if (ended === true) {
+            return;
+          } else {
+            await new Promise(resolve => notify = resolve);
+          }
+        }
+      } finally {
+        if (ended === false) { // consumer stopped iterating
+          abortDownloads(new Error('aborted'));
+        }
+      }
+    })();
+  }
+
+  function buffer(cb) {
+    meta((err, metadata) => {
+      if (err) {
+        abortDownloads(err);
+        cb(err);
+      } else {
+        into(Buffer.allocUnsafe(metadata.lengthInBytes), 0, cb); // allocated once, every byte is overwritten
+      }
+    });
+  }
+
+  function extractTo(dir, {gzip}, cb) {
+    if (started === true) {
+      cb(new Error('download already started'));
+      return;
+    }
+    let calledback = false;
+    let entriesExtracted = 0;
+    let entriesSkipped = 0;
+    const done = (err) => {
+      if (calledback === false) {
+        calledback = true;
+        if (err) {
+          abortDownloads(err);
+          cb(err);
+        } else {
+          cb(null, {...downloadSummary, entriesExtracted, entriesSkipped});
+        }
+      }
+    };
+    const extractor = createTarExtractor(dir, (eventName, event) => {
+      if (eventName === EVENT_NAME_ENTRY_EXTRACTED) {
+        entriesExtracted++;
+      } else {
+        entriesSkipped++;
+      }
+      emitter.emit(eventName, {traceId: getTraceId(), ...event});
+    });
+    const extract = (gunzip) => {
+      if (gunzip === true) {
+        pipeline(source, createGunzip({chunkSize: 1024*1024}), extractor, done); // larger chunks mean fewer writes
+      } else {
+        pipeline(source, extractor, done);
+      }
+    };
+    const source = readStream();
+    if (gzip === 'auto') {
+      peekBytes(source, (err, head) => {
+        if (err) {
+          done(err);
+        } else {
+          extract(detectEncodingByMagicBytes(head) === 'gzip');
+        }
+      });
+    } else {
+      extract(gzip);
+    }
+  }
+
+  return {
+    meta: (cb) => callbackOrPromise(cb, (cb) => {
+      meta((err, metadata) => {
+        if (err) {
+          cb(err);
+        } else {
+          cb(null, metadata);
+        }
+      });
+    }),
+    readStream,
+    file: (path, cb) => callbackOrPromise(cb, (cb) => file(path, cb)),
+    buffer: (cb) => callbackOrPromise(cb, buffer),
+    into: (target, offset, cb) => {
+      if (typeof offset === 'function') {
+        cb = offset;
+        offset = undefined;
+      }
+      return callbackOrPromise(cb, (cb) => into(target, (offset === undefined) ? 0 : offset, cb));
+    },
+    extractTo: (dir, options, cb) => {
+      if (typeof options === 'function') {
+        cb = options;
+        options = undefined;
+      }
+      let {gzip} = options || {};
+      if (gzip === undefined || gzip === null) {
+        gzip = 'auto';
+      } else if (gzip !== true && gzip !== false && gzip !== 'auto') {
+        throw new Error('gzip must be true, false, or auto');
+      }
+      return callbackOrPromise(cb, (cb) => extractTo(dir, {gzip}, cb));
+    },
+    webStream,
+    parts,
+    progress,
+    abort,
+    pause: pauseDownload,
+    resume: resumeDownload,
+    partsDownloading: () => Object.keys(partsDownloading).length,
+    ...createEventMethods(emitter)
+  };
+}
+exports.download = (s3source, options) => download(s3source, options, null);
+
+exports.downloadFile = async (s3source, path, options) => exports.download(s3source, options).file(path);
+
+function createEventMethods(emitter) {
+  let ended = false;
+  emitter.once(EVENT_NAME_END, () => {
+    ended = true;
+  });
+  return {
+    events: (eventName, options) => { // async iteration over events, ends when the download or all downloads end
+      const iterator = on(emitter, eventName, options); // the close option of on requires Node.js 20.13, queued events are still yielded after return
+      const end = () => iterator.return();
+      if (ended === true) {
+        end();
+      } else {
+        emitter.once(EVENT_NAME_END, end);
+      }
+      return (async function* () {
+        try {
+          for await (const [event] of iterator) {
+            yield event;
+          }
+        } finally {
+          emitter.off(EVENT_NAME_END, end);
+        }
+      })();
+    },
+    addListener: (eventName, listener) => emitter.addListener(eventName, listener),
+    off: (eventName, listener) => emitter.off(eventName, listener),
+    on: (eventName, listener) => emitter.on(eventName, listener),
+    once: (eventName, listener) => emitter.once(eventName, listener),
+    removeListener: (eventName, listener) => emitter.removeListener(eventName, listener)
+  };
+}
+
+exports.downloadMany = (sources, options) => {
+  if (!Array.isArray(sources)) {
+    throw new Error('invalid sources');
+  }
+  sources.forEach(({path}) => {
+    if (typeof path !== 'string') {
+      throw new Error('path required');
+    }
+  });
+  const {concurrency, continueOnError} = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency > 0');
+  }
+
+  const emitter = new EventEmitter();
+  const downloads = new Set();
+  const failures = [];
+  let started = false;
+  let aborted = false;
+  let abortError = null;
+  let nextIndex = 0;
+  let objectsDownloaded = 0;
+  let bytesDownloaded = 0;
+  let startedAt = -1;
+  let callback = null;
+
+  const pool = createPartPool(concurrency, () => startObjects());
+
+  function finish() {
+    if (callback !== null && downloads.size === 0 && (nextIndex === sources.length || aborted === true)) {
+      const cb = callback;
+      callback = null;
+      emitter.emit(EVENT_NAME_END);
+      if (aborted === true) {
+        cb(abortError);
+      } else {
+        cb(null, {
+          objects: sources.length,
+          objectsDownloaded,
+          objectsFailed: failures.length,
+          bytesDownloaded,
+          durationInMilliseconds: Date.now()-startedAt,
+          failures
+        });
+      }
+    }
+  }
+
+  function startObject(index, lease) {
+    const {bucket, key, version, path} = sources[index];
+    const failed = (err) => {
+      if (aborted === false) {
+        failures.push({index, bucket, key, version, path, err});
+        emitter.emit(EVENT_NAME_OBJECT_FAILED, {index, bucket, key, version, path, err});
+        if (continueOnError !== true) {
+          abort(err);
+        }
+      }
+      startObjects();
+      finish();
+    };
+    let d;
+    try {
+      d = download({bucket, key, version}, options, lease);
+    } catch (err) {
+      lease.releaseAll();
+      process.nextTick(failed, err);
+      return;
+    }
+    downloads.add(d);
+    d.file(path, (err) => {
+      downloads.delete(d);
+      lease.releaseAll();
+      if (err) {
+        failed(err);
+      } else {
+        d.meta((err, metadata) => { // cached
+          objectsDownloaded++;
+          bytesDownloaded += metadata.lengthInBytes;
+          emitter.emit(EVENT_NAME_OBJECT_DONE, {index, bucket, key, version, path, lengthInBytes: metadata.lengthInBytes});
+          startObjects();
+          finish();
+        });
+      }
+    });
+  }
+
+  function startObjects() { // objects are started only if the shared pool has a slot left that running downloads do not need
+    while (started === true && aborted === false && nextIndex < sources.length) {
+      const lease = pool.lease();
+      if (lease.acquire() === false) {
+        break;
+      }
+      startObject(nextIndex++, lease);
+    }
+  }
+
+  function run(cb) {
+    if (started === true) {
+      cb(new Error('already running'));
+    } else {
+      started = true;
+      startedAt = Date.now();
+      callback = cb;
+      startObjects();
+      finish();
+    }
+  }
+
+  function abort(err) {
+    if (err === undefined || err === null) {
+      err = new Error('aborted');
+    }
+    if (aborted === false) {
+      aborted = true;
+      abortError = err;
+      downloads.forEach(d => d.abort(err));
+      finish();
+    }
+  }
+
+  return {
+    run: (cb) => callbackOrPromise(cb, run),
+    abort,
+    ...createEventMethods(emitter)
+  };
+};
+
+function globToRegExp(glob) { // * matches within a path segment, ** across path segments, ? matches one character
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i+1] === '*') {
+      if (glob[i+2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function mapPatterns(patterns, name) {
+  if (patterns === undefined || patterns === null) {
+    return null;
+  }
+  if (!Array.isArray(patterns)) {
+    patterns = [patterns];
+  }
+  return patterns.map(pattern => {
+    if (pattern instanceof RegExp) {
+      return pattern;
+    } else if (typeof pattern === 'string') {
+      return globToRegExp(pattern);
+    } else {
+      throw new Error(`invalid ${name}`);
+    }
+  });
+}
+
+function createKeyFilter(include, exclude) {
+  const includePatterns = mapPatterns(include, 'include');
+  const excludePatterns = mapPatterns(exclude, 'exclude');
+  return (relativeKey) => {
+    if (includePatterns !== null && !includePatterns.some(pattern => pattern.test(relativeKey))) {
+      return false;
+    }
+    if (excludePatterns !== null && excludePatterns.some(pattern => pattern.test(relativeKey))) {
+      return false;
+    }
+    return true;
+  };
+}
+
+function getKeySegments(relativeKey) { // returns null if the key is unsafe as a local path
+  const segments = relativeKey.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.some(segment => segment === '..' || segment.includes('\\') || segment.includes('\0'))) {
+    return null;
+  }
+  return segments;
+}
+
+function listAllObjects(params, s3Options, retryOptions, timeoutOptions, contextOptions, onPage, cb) { // returns an AbortController that stops the listing
+  const ac = new AbortController();
+  const next = (continuationToken) => {
+    listObjects({...params, ContinuationToken: continuationToken}, s3Options, retryOptions, timeoutOptions, {...contextOptions, signal: ac.signal}, (err, data) => {
+      if (ac.signal.aborted) {
+        cb(ac.signal.reason);
+      } else if (err) {
+        cb(err);
+      } else {
+        onPage(data.Contents); // pages are not kept, a listing can return millions of keys
+        if (data.IsTruncated === true && data.NextContinuationToken !== undefined) {
+          next(data.NextContinuationToken);
+        } else {
+          cb(null);
+        }
+      }
+    });
+  };
+  next(undefined);
+  return ac;
+}
+
+function listPrefix({bucket, prefix}, dir, filter, options, emitter, cb) { // maps the keys below the prefix to local paths, returns an AbortController that stops the listing
+  const s3Options = mapS3Options(options);
+  const retryOptions = {maxAttempts: 5};
+  const timeoutOptions = mapTimeoutOptions(options);
+  const prefixDirLength = prefix.lastIndexOf('/')+1; // keys are relative to the last / of the prefix
+  const files = [];
+  const skipped = [];
+  const dirs = new Set([dir]);
+  return listAllObjects({Bucket: bucket, Prefix: prefix}, s3Options, retryOptions, timeoutOptions, {emitter}, (objects) => {
+    objects.forEach((object) => {
+      const relativeKey = object.Key.substring(prefixDirLength);
+      if (filter(relativeKey)) {
+        const segments = getKeySegments(relativeKey);
+        if (segments === null) {
+          skipped.push({key: object.Key, reason: 'unsafe'});
+        } else if (object.Key.endsWith('/')) { // directory marker
+          dirs.add(join(dir, ...segments));
+        } else if (segments.length === 0) {
+          skipped.push({key: object.Key, reason: 'unsafe'});
+        } else {
+          dirs.add(join(dir, ...segments.slice(0, -1)));
+          files.push({object, relativePath: segments.join('/'), path: join(dir, ...segments)});
+        }
+      }
+    });
+  }, (err) => {
+    if (err) {
+      cb(err);
+    } else {
+      cb(null, {files, dirs: Array.from(dirs), skipped});
+    }
+  });
+}
+
+function mkdirs(dirs, cb) {
+  const next = (i) => {
+    if (i < dirs.length) {
+      mkdir(dirs[i], {recursive: true}, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          next(i+1);
+        }
+      });
+    } else {
+      cb();
+    }
+  };
+  next(0);
+}
+
+function validateBatchOptions(dir, options) {
+  if (typeof dir !== 'string') {
+    throw new Error('invalid dir');
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('concurrency > 0');
+  }
+  mapS3Options(options); // the listing runs before the first download validates the options
+  mapTimeoutOptions(options);
+}
 
+exports.downloadPrefix = ({bucket, prefix}, dir, options) => {
+  validateBatchOptions(dir, options);
+  if (prefix === undefined || prefix === null) {
+    prefix = '';
+  }
+  const filter = createKeyFilter(options.include, options.exclude);
+  const emitter = new EventEmitter();
+  let started = false;
+  let aborted = false;
+  let abortError = null;
+  let listing = null;
+  let batch = null;
+
+  function run(cb) {
+    if (started === true) {
+      cb(new Error('already running'));
+      return;
+    }
+    started = true;
+    const fail = (err) => {
+      emitter.emit(EVENT_NAME_END);
+      cb(err);
+    };
+    listing = listPrefix({bucket, prefix}, dir, filter, options, emitter, (err, {files, dirs, skipped} = {}) => {
+      if (aborted === true) {
+        fail(abortError);
+      } else if (err) {
+        fail(err);
+      } else {
+        mkdirs(dirs, (err) => {
+          if (err) {
+            fail(err);
+          } else if (aborted === true) {
+            fail(abortError);
+          } else {
+            batch = exports.downloadMany(files.map(({object, path}) => ({bucket, key: object.Key, path})), options);
+            batch.on(EVENT_NAME_OBJECT_DONE, (event) => emitter.emit(EVENT_NAME_OBJECT_DONE, event));
+            batch.on(EVENT_NAME_OBJECT_FAILED, (event) => emitter.emit(EVENT_NAME_OBJECT_FAILED, event));
+            batch.run((err, summary) => {
+              if (err) {
+                fail(err);
+              } else {
+                emitter.emit(EVENT_NAME_END);
+                cb(null, {...summary, directories: dirs.length, objectsSkipped: skipped.length, skipped});
+              }
+            });
+          }
+        });
+      }
+    });
+  }
+
+  function abort(err) {
+    if (err === undefined || err === null) {
+      err = new Error('aborted');
+    }
+    if (aborted === false) {
+      aborted = true;
+      abortError = err;
+      if (listing !== null) {
+        listing.abort(err);
+      }
+      if (batch !== null) {
+        batch.abort(err);
+      }
+    }
+  }
+
+  return {
+    run: (cb) => callbackOrPromise(cb, run),
+    abort,
+    ...createEventMethods(emitter)
+  };
+};
+
+const SYNC_MANIFEST_NAME = '.s3-getobject-accelerator-sync.json';
+
+function readSyncManifest(path, cb) {
+  readFile(path, 'utf8', (err, data) => {
+    if (err) {
+      if (err.code === 'ENOENT') {
+        cb(null, {objects: {}});
+      } else {
+        cb(err);
+      }
+    } else {
+      let manifest;
+      try {
+        manifest = JSON.parse(data);
+      } catch {
+        manifest = null;
+      }
+      if (manifest === null || typeof manifest !== 'object' || typeof manifest.objects !== 'object' || manifest.objects === null) { // a corrupt manifest only costs comparisons by LastModified
+        manifest = {objects: {}};
+      }
+      cb(null, manifest);
+    }
+  });
+}
+
+function writeSyncManifest(path, manifest, cb) {
+  const tmpPath = `${path}.tmp`;
+  writeFile(tmpPath, JSON.stringify(manifest), 'utf8', (err) => {
+    if (err) {
+      cb(err);
+    } else {
+      rename(tmpPath, path, cb);
+    }
+  });
+}
+
+function getSyncReason(object, stats, entry) { // returns null if the local file is up to date
+  if (stats === null) {
+    return 'missing';
+  }
+  if (stats.size !== object.Size) {
+    return 'size';
+  }
+  if (entry !== undefined && entry.mtimeMs === stats.mtimeMs) { // local file not modified since the last sync
+    if (entry.etag !== object.ETag) {
+      return 'etag';
+    }
+    if (entry.lastModified !== object.LastModified.toISOString()) {
+      return 'lastModified';
+    }
+    return null;
+  }
+  if (stats.mtimeMs < object.LastModified.getTime()) {
+    return 'lastModified';
+  }
+  return null;
+}
+
+function statFiles(paths, cb) { // null for missing files
+  const stats = [];
+  const next = (i) => {
+    if (i < paths.length) {
+      stat(paths[i], (err, result) => {
+        if (err && err.code !== 'ENOENT') {
+          cb(err);
+        } else {
+          stats.push(err ? null : result);
+          next(i+1);
+        }
+      });
+    } else {
+      cb(null, stats);
+    }
+  };
+  next(0);
+}
+
+function listLocalFiles(dir, cb) { // relative paths with / as separator
+  const files = [];
+  const walk = (relativeDirs, cb) => {
+    if (relativeDirs.length === 0) {
+      cb(null, files);
+    } else {
+      const relativeDir = relativeDirs.shift();
+      readdir(join(dir, relativeDir), {withFileTypes: true}, (err, entries) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            walk(relativeDirs, cb);
+          } else {
+            cb(err);
+          }
+        } else {
+          entries.forEach((entry) => {
+            const relativePath = (relativeDir === '') ? entry.name : `${relativeDir}/${entry.name}`;
+            if (entry.isDirectory()) {
+              relativeDirs.push(relativePath);
+            } else if (entry.isFile()) {
+              files.push(relativePath);
+            }
+          });
+          walk(relativeDirs, cb);
+        }
+      });
+    }
+  };
+  walk([''], cb);
+}
+
+function unlinkFiles(paths, cb) {
+  const next = (i) => {
+    if (i < paths.length) {
+      unlink(paths[i], (err) => {
+        if (err && err.code !== 'ENOENT') {
+          cb(err);
+        } else {
+          next(i+1);
+        }
+      });
+    } else {
+      cb();
+    }
+  };
+  next(0);
+}
+
+exports.syncPrefix = ({bucket, prefix}, dir, options) => {
+  validateBatchOptions(dir, options);
+  if (prefix === undefined || prefix === null) {
+    prefix = '';
+  }
+  const {delete: deleteMissing, dryRun, manifestPath} = options;
+  const filter = createKeyFilter(options.include, options.exclude);
+  const manifestFile = (manifestPath === undefined || manifestPath === null) ? join(dir, SYNC_MANIFEST_NAME) : manifestPath;
+  const emitter = new EventEmitter();
   let started = false;
-  let partsToDownload = -1;
-  let bytesToDownload = -1;
-  let nextPartNo = -1; // starts at 1 (not at 0)
-  let lastWrittenPartNo = -1;
-  const partsWaitingForWrite = {};
-  const partsDownloading = {};
   let aborted = false;
+  let abortError = null;
+  let listing = null;
+  let batch = null;
+
+  function plan(files, manifest, cb) {
+    statFiles(files.map(({path}) => path), (err, stats) => {
+      if (err) {
+        cb(err);
+      } else {
+        const actions = [];
+        const upToDate = [];
+        files.forEach((file, i) => {
+          const reason = getSyncReason(file.object, stats[i], manifest.objects[file.object.Key]);
+          if (reason === null) {
+            upToDate.push(file);
+          } else {
+            actions.push({action: 'download', key: file.object.Key, path: file.path, reason});
+          }
+        });
+        if (deleteMissing === true) {
+          listLocalFiles(dir, (err, localFiles) => {
+            if (err) {
+              cb(err);
+            } else {
+              const relativePaths = new Set(files.map(({relativePath}) => relativePath));
+              localFiles
+                .filter(relativePath => !relativePaths.has(relativePath) && !relativePath.endsWith(CHECKPOINT_SUFFIX) && !relativePath.endsWith(`${CHECKPOINT_SUFFIX}.tmp`) && filter(relativePath)) // checkpoints of interrupted or running downloads are needed to resume
+                .map(relativePath => join(dir, ...relativePath.split('/')))
+                .filter(path => path !== manifestFile && path !== `${manifestFile}.tmp`)
+                .forEach(path => actions.push({action: 'delete', path}));
+              cb(null, actions, upToDate);
+            }
+          });
+        } else {
+          cb(null, actions, upToDate);
+        }
+      }
+    });
+  }
+
+  function updateManifest(synced, cb) { // objects that failed to download are compared by LastModified next time
+    statFiles(synced.map(({path}) => path), (err, stats) => {
+      if (err) {
+        cb(err);
+      } else {
+        const manifest = {objects: {}};
+        synced.forEach(({object}, i) => {
+          if (stats[i] !== null) {
+            manifest.objects[object.Key] = {etag: object.ETag, size: object.Size, lastModified: object.LastModified.toISOString(), mtimeMs: stats[i].mtimeMs};
+          }
+        });
+        writeSyncManifest(manifestFile, manifest, cb);
+      }
+    });
+  }
 
-  function write(chunk, cb) {
-    if (!stream.write(chunk)) {
-      stream.once('drain', cb);
-    } else {
-      process.nextTick(cb);
+  function run(cb) {
+    if (started === true) {
+      cb(new Error('already running'));
+      return;
     }
+    started = true;
+    const fail = (err) => {
+      emitter.emit(EVENT_NAME_END);
+      cb(err);
+    };
+    listing = listPrefix({bucket, prefix}, dir, filter, options, emitter, (err, {files, dirs, skipped} = {}) => {
+      if (aborted === true) {
+        fail(abortError);
+      } else if (err) {
+        fail(err);
+      } else {
+        readSyncManifest(manifestFile, (err, manifest) => {
+          if (err) {
+            fail(err);
+          } else {
+            plan(files, manifest, (err, actions, upToDate) => {
+              if (err) {
+                fail(err);
+              } else if (dryRun === true) {
+                emitter.emit(EVENT_NAME_END);
+                cb(null, {
+                  dryRun: true,
+                  plan: actions,
+                  objectsToDownload: actions.filter(({action}) => action === 'download').length,
+                  objectsToDelete: actions.filter(({action}) => action === 'delete').length,
+                  objectsUpToDate: upToDate.length,
+                  objectsSkipped: skipped.length,
+                  skipped
+                });
+              } else if (aborted === true) {
+                fail(abortError);
+              } else {
+                mkdirs(dirs, (err) => {
+                  if (err) {
+                    fail(err);
+                  } else {
+                    const downloads = actions.filter(({action}) => action === 'download');
+                    const deletes = actions.filter(({action}) => action === 'delete');
+                    const downloadedKeys = new Set();
+                    batch = exports.downloadMany(downloads.map(({key, path}) => ({bucket, key, path})), options);
+                    batch.on(EVENT_NAME_OBJECT_DONE, (event) => {
+                      downloadedKeys.add(event.key);
+                      emitter.emit(EVENT_NAME_OBJECT_DONE, event);
+                    });
+                    batch.on(EVENT_NAME_OBJECT_FAILED, (event) => emitter.emit(EVENT_NAME_OBJECT_FAILED, event));
+                    batch.run((batchErr, summary) => {
+                      updateManifest([...upToDate, ...files.filter(({object}) => downloadedKeys.has(object.Key))], (err) => {
+                        if (batchErr) {
+                          fail(batchErr);
+                        } else if (err) {
+                          fail(err);
+                        } else {
+                          unlinkFiles(deletes.map(({path}) => path), (err) => {
+                            if (err) {
+                              fail(err);
+                            } else {
+                              emitter.emit(EVENT_NAME_END);
+                              cb(null, {
+                                ...summary,
+                                dryRun: false,
+                                plan: actions,
+                                objectsDeleted: deletes.length,
+                                objectsUpToDate: upToDate.length,
+                                objectsSkipped: skipped.length,
+                                skipped
+                              });
+                            }
+                          });
+                        }
+                      });
+                    });
+                  }
+                });
+              }
+            });
+          }
+        });
+      }
+    });
   }
 
-  function abortDownloads(err) {
+  function abort(err) {
+    if (err === undefined || err === null) {
+      err = new Error('aborted');
+    }
     if (aborted === false) {
       aborted = true;
-      Object.values(partsDownloading).forEach(req => req.abort());
-      if (stream !== null) {
-        stream.destroy(err);
+      abortError = err;
+      if (listing !== null) {
+        listing.abort(err);
+      }
+      if (batch !== null) {
+        batch.abort(err);
       }
     }
   }
 
-  function drainWriteQueue() {
-    const nextPartNoToWrite = lastWrittenPartNo+1;
-    const part = partsWaitingForWrite[nextPartNoToWrite];
-    if (part !== undefined) {
-      delete partsWaitingForWrite[nextPartNoToWrite];
-      writePart(part.partNo, part.chunk, part.cb);
+  return {
+    run: (cb) => callbackOrPromise(cb, run),
+    abort,
+    ...createEventMethods(emitter)
+  };
+};
+
+function createObjectReader({bucket, key, version, etag}, size, lastBlockBody, {blockSizeInBytes, cacheSizeInBytes, readAheadBlocks}, s3Options, retryOptions, timeoutOptions) { // blocks are aligned to multiples of the block size
+  const cache = new LRUCache({maxSize: cacheSizeInBytes, sizeCalculation: block => block.length});
+  const blocksFetching = new Map(); // block index -> callbacks waiting for the block
+  const requests = new Set();
+  const lastBlock = Math.max(Math.ceil(size/blockSizeInBytes)-1, 0);
+  if (lastBlockBody !== null) {
+    cache.set(lastBlock, lastBlockBody);
+  }
+  let lastReadEndByte = -1; // exclusive, a read that starts here is sequential
+  let closed = false;
+
+  function fetchBlocks(firstBlock, lastBlockToFetch) { // consecutive blocks are fetched with a single range request
+    for (let block = firstBlock; block <= lastBlockToFetch; block++) {
+      blocksFetching.set(block, []);
+    }
+    const startByte = firstBlock*blockSizeInBytes; // inclusive
+    const endByte = Math.min((lastBlockToFetch+1)*blockSizeInBytes, size)-1; // inclusive
+    const params = {
+      Bucket: bucket,
+      Key: key,
+      VersionId: version,
+      IfMatch: etag,
+      Range: `bytes=${startByte}-${endByte}`
+    };
+    const req = getObject(params, s3Options, retryOptions, timeoutOptions, {}, (err, data) => {
+      requests.delete(req);
+      if (err && err.statusCode === 412) {
+        const modifiedErr = new ObjectModifiedError(`object modified, ETag does not match ${params.IfMatch}`);
+        modifiedErr.statusCode = err.statusCode;
+        modifiedErr.code = err.code;
+        err = modifiedErr;
+      } else if (!err && data.Body.length !== endByte-startByte+1) {
+        err = new Error(`unexpected S3 response length: ${data.Body.length}, expected ${endByte-startByte+1}`);
+      }
+      for (let block = firstBlock; block <= lastBlockToFetch; block++) {
+        const callbacks = blocksFetching.get(block);
+        blocksFetching.delete(block);
+        if (err) {
+          callbacks.forEach(cb => cb(err));
+        } else {
+          const slice = data.Body.subarray((block-firstBlock)*blockSizeInBytes, (block-firstBlock+1)*blockSizeInBytes);
+          const body = (firstBlock === lastBlockToFetch) ? slice : Buffer.from(slice); // a slice keeps the whole response alive, evicting it would free nothing
+          if (closed === false) {
+            cache.set(block, body);
+          }
+          callbacks.forEach(cb => cb(null, body));
+        }
+      }
+    });
+    requests.add(req);
+  }
+
+  function fetchMissingBlocks(firstBlock, lastBlockToFetch) {
+    let runStart = null;
+    for (let block = firstBlock; block <= lastBlockToFetch+1; block++) {
+      const missing = block <= lastBlockToFetch && !cache.has(block) && !blocksFetching.has(block);
+      if (missing === true && runStart === null) {
+        runStart = block;
+      } else if (missing === false && runStart !== null) {
+        fetchBlocks(runStart, block-1);
+        runStart = null;
+      }
     }
   }
 
-  function getTraceId(partNo) {
-    if (partNo !== undefined) {
-      return `download=${downloadNo}:part=${partNo}`;
-    } else {
-      return `download=${downloadNo}`;
+  function getBlock(block, cb) {
+    const body = cache.get(block);
+    if (body !== undefined) {
+      cb(null, body);
+    } else if (blocksFetching.has(block)) {
+      blocksFetching.get(block).push(cb);
+    } else { // evicted in the meantime
+      fetchBlocks(block, block);
+      blocksFetching.get(block).push(cb);
     }
   }
 
-  function writePart(partNo, chunk, cb) {
-    if (lastWrittenPartNo === (partNo-1)) {
-      emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(partNo), partNo});
-      write(chunk, () => {
-        lastWrittenPartNo = partNo;
-        if (lastWrittenPartNo === partsToDownload) {
-          stream.end(cb);
+  function read(buffer, offset, length, position, cb) {
+    if (closed === true) {
+      process.nextTick(() => cb(new Error('object closed')));
+      return;
+    }
+    const endByte = Math.min(position+length, size); // exclusive
+    if (endByte <= position) {
+      process.nextTick(() => cb(null, {bytesRead: 0, buffer}));
+      return;
+    }
+    const firstBlock = Math.floor(position/blockSizeInBytes);
+    const lastBlockToRead = Math.floor((endByte-1)/blockSizeInBytes);
+    fetchMissingBlocks(firstBlock, lastBlockToRead);
+    if (readAheadBlocks > 0 && position === lastReadEndByte && lastBlockToRead < lastBlock) { // sequential, not awaited
+      fetchMissingBlocks(lastBlockToRead+1, Math.min(lastBlockToRead+readAheadBlocks, lastBlock));
+    }
+    lastReadEndByte = endByte;
+    let pending = lastBlockToRead-firstBlock+1;
+    let cbcalled = false;
+    let sync = true;
+    const done = (err, result) => {
+      if (cbcalled === false) {
+        cbcalled = true;
+        if (sync === true) {
+          process.nextTick(() => cb(err, result));
         } else {
-          process.nextTick(drainWriteQueue);
-          cb();
+          cb(err, result);
+        }
+      }
+    };
+    for (let block = firstBlock; block <= lastBlockToRead; block++) {
+      getBlock(block, (err, body) => {
+        if (err) {
+          done(err);
+        } else {
+          const blockStartByte = block*blockSizeInBytes;
+          const sourceStart = Math.max(position-blockStartByte, 0);
+          const sourceEnd = Math.min(endByte-blockStartByte, body.length);
+          body.copy(buffer, offset+blockStartByte+sourceStart-position, sourceStart, sourceEnd);
+          pending--;
+          if (pending === 0) {
+            done(null, {bytesRead: endByte-position, buffer});
+          }
         }
       });
-    } else {
-      partsWaitingForWrite[partNo] = {partNo, chunk, cb};
     }
+    sync = false;
   }
 
-  function downloadPart(partNo, cb) {
-    const params = {
+  function close(cb) {
+    closed = true;
+    requests.forEach(req => req.abort());
+    cache.clear();
+    process.nextTick(cb);
+  }
+
+  return {
+    size,
+    etag,
+    version,
+    read: (buffer, offset, length, position, cb) => {
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('offset >= 0');
+      }
+      if (!Number.isInteger(length) || length < 0 || offset+length > buffer.length) {
+        throw new Error('length >= 0 and offset + length <= buffer.length');
+      }
+      if (!Number.isInteger(position) || position < 0) {
+        throw new Error('position >= 0');
+      }
+      return callbackOrPromise(cb, (cb) => read(buffer, offset, length, position, cb));
+    },
+    close: (cb) => callbackOrPromise(cb, close)
+  };
+}
+
+exports.openObject = ({bucket, key, version}, options, cb) => {
+  let {blockSizeInMegabytes, cacheSizeInMegabytes, readAheadBlocks} = options;
+
+  if (blockSizeInMegabytes === undefined || blockSizeInMegabytes === null) {
+    blockSizeInMegabytes = 1;
+  } else if (blockSizeInMegabytes <= 0) {
+    throw new Error('blockSizeInMegabytes > 0');
+  }
+
+  if (cacheSizeInMegabytes === undefined || cacheSizeInMegabytes === null) {
+    cacheSizeInMegabytes = Math.max(64, blockSizeInMegabytes);
+  } else if (cacheSizeInMegabytes < blockSizeInMegabytes) {
+    throw new Error('cacheSizeInMegabytes >= blockSizeInMegabytes');
+  }
+
+  if (readAheadBlocks === undefined || readAheadBlocks === null) {
+    readAheadBlocks = 4;
+  } else if (!Number.isInteger(readAheadBlocks) || readAheadBlocks < 0) {
+    throw new Error('readAheadBlocks >= 0');
+  }
+
+  const s3Options = mapS3Options(options);
+  const retryOptions = {maxAttempts: 5};
+  const timeoutOptions = mapTimeoutOptions(options);
+  const readerOptions = {blockSizeInBytes: Math.round(blockSizeInMegabytes*1000000), cacheSizeInBytes: Math.round(cacheSizeInMegabytes*1000000), readAheadBlocks};
+  return callbackOrPromise(cb, (cb) => {
+    const params = { // formats like Parquet and ZIP start reading at the end, the last block is cached right away
       Bucket: bucket,
       Key: key,
-      VersionId: version
+      VersionId: version,
+      Range: `bytes=-${readerOptions.blockSizeInBytes}`
     };
-    if (partSizeInBytes === null) {
-      params.PartNumber = partNo;
+    getObject(params, s3Options, retryOptions, timeoutOptions, {}, (err, data) => {
+      if ((err && err.code === 'InvalidRange') || (!err && data.ContentLength === 0)) {
+        cb(null, createObjectReader({bucket, key, version}, 0, null, readerOptions, s3Options, retryOptions, timeoutOptions));
+      } else if (err) {
+        cb(err);
+      } else {
+        const contentRange = parseContentRange(data.ContentRange);
+        if (contentRange === undefined) {
+          cb(new Error(`unexpected S3 content range: ${data.ContentRange}`));
+        } else {
+          const object = {bucket, key, version: ('VersionId' in data) ? data.VersionId : version, etag: data.ETag}; // all reads are pinned to this object
+          const lastBlockStartByte = Math.floor(contentRange.endByte/readerOptions.blockSizeInBytes)*readerOptions.blockSizeInBytes;
+          const lastBlockBody = (contentRange.startByte <= lastBlockStartByte) ? Buffer.from(data.Body.subarray(lastBlockStartByte-contentRange.startByte)) : null; // copied, a slice keeps the whole suffix alive
+          cb(null, createObjectReader(object, contentRange.length, lastBlockBody, readerOptions, s3Options, retryOptions, timeoutOptions));
+        }
+      }
+    });
+  });
+};
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_EOCD_MIN_LENGTH = 22;
+const ZIP_EOCD_MAX_LENGTH = ZIP_EOCD_MIN_LENGTH+0xFFFF; // the comment is up to 64 KiB
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_LOCATOR_LENGTH = 20;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_EOCD_MIN_LENGTH = 56;
+const ZIP_CENTRAL_DIRECTORY_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_LOCAL_FILE_HEADER_LENGTH = 30;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+const ZIP_COMPRESSION_METHODS = {0: 'stored', 8: 'deflate'};
+
+function readFully(object, position, length, cb) { // cb(err, buffer)
+  const buffer = Buffer.alloc(length);
+  object.read(buffer, 0, length, position, (err, {bytesRead} = {}) => {
+    if (err) {
+      cb(err);
+    } else if (bytesRead !== length) {
+      cb(new Error(`unexpected end of ZIP archive at ${position+bytesRead}`));
     } else {
-      const startByte = (partNo-1)*partSizeInBytes; // inclusive
-      const endByte = Math.min(startByte+partSizeInBytes-1, bytesToDownload-1); // inclusive
-      params.Range = `bytes=${startByte}-${endByte}`;
+      cb(null, buffer);
+    }
+  });
+}
+
+function findZipEocd(object, cb) { // cb(err, {entries, centralDirectoryOffset, centralDirectoryLength})
+  const tailLength = Math.min(object.size, ZIP_EOCD_MAX_LENGTH+ZIP64_EOCD_LOCATOR_LENGTH);
+  readFully(object, object.size-tailLength, tailLength, (err, tail) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    let eocd = -1;
+    for (let i = tail.length-ZIP_EOCD_MIN_LENGTH; i >= 0; i--) { // the comment could contain the signature, the last match wins
+      if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE && i+ZIP_EOCD_MIN_LENGTH+tail.readUInt16LE(i+20) === tail.length) {
+        eocd = i;
+        break;
+      }
     }
-    const req = getObject(params, s3Options, retryOptions, timeoutOptions, {emitter, traceId: getTraceId(partNo)}, (err, data) => {
-      delete partsDownloading[partNo];
+    if (eocd === -1) {
+      cb(new Error('not a ZIP archive: end of central directory not found'));
+      return;
+    }
+    const entries = tail.readUInt16LE(eocd+10);
+    const centralDirectoryLength = tail.readUInt32LE(eocd+12);
+    const centralDirectoryOffset = tail.readUInt32LE(eocd+16);
+    const locator = eocd-ZIP64_EOCD_LOCATOR_LENGTH;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      cb(null, {entries, centralDirectoryOffset, centralDirectoryLength});
+      return;
+    }
+    const zip64EocdOffset = Number(tail.readBigUInt64LE(locator+8));
+    readFully(object, zip64EocdOffset, ZIP64_EOCD_MIN_LENGTH, (err, zip64Eocd) => {
       if (err) {
         cb(err);
+      } else if (zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+        cb(new Error('invalid ZIP archive: ZIP64 end of central directory not found'));
       } else {
-        cb(null, data);
+        cb(null, {
+          entries: Number(zip64Eocd.readBigUInt64LE(32)),
+          centralDirectoryLength: Number(zip64Eocd.readBigUInt64LE(40)),
+          centralDirectoryOffset: Number(zip64Eocd.readBigUInt64LE(48))
+        });
       }
     });
-    partsDownloading[partNo] = req;
-  }
+  });
+}
 
-  function downloadNextPart() {
-    if (nextPartNo <= partsToDownload) {
-      const partNo = nextPartNo++;
-      emitter.emit(EVENT_NAME_PART_DOWNLOADING, {traceId: getTraceId(partNo), partNo});
-      downloadPart(partNo, (err, data) => {
-        if (err) {
-          abortDownloads(err);
-        } else {
-          emitter.emit(EVENT_NAME_PART_DOWNLOADED, {traceId: getTraceId(partNo), partNo});
-          writePart(partNo, data.Body, () => {
-            emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(partNo), partNo});
-            process.nextTick(downloadNextPart);
-          });
+function parseZipCentralDirectory(buffer, expectedEntries) { // returns the entries or throws
+  const entries = [];
+  let offset = 0;
+  while (entries.length < expectedEntries) {
+    if (offset+46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER_SIGNATURE) {
+      throw new Error(`invalid ZIP archive: central directory header ${entries.length} not found`);
+    }
+    const flags = buffer.readUInt16LE(offset+8);
+    const compressionMethod = buffer.readUInt16LE(offset+10);
+    const time = buffer.readUInt16LE(offset+12);
+    const date = buffer.readUInt16LE(offset+14);
+    let compressedSize = buffer.readUInt32LE(offset+20);
+    let size = buffer.readUInt32LE(offset+24);
+    const nameLength = buffer.readUInt16LE(offset+28);
+    const extraLength = buffer.readUInt16LE(offset+30);
+    const commentLength = buffer.readUInt16LE(offset+32);
+    let localHeaderOffset = buffer.readUInt32LE(offset+42);
+    const nameStart = offset+46;
+    const extraStart = nameStart+nameLength;
+    const name = buffer.toString((flags & 0x0800) ? 'utf8' : 'latin1', nameStart, extraStart); // names without the UTF-8 flag are CP437, latin1 matches for ASCII
+    for (let i = extraStart; i+4 <= extraStart+extraLength;) { // ZIP64 extra field contains the 8 byte values that do not fit, in this order
+      const id = buffer.readUInt16LE(i);
+      const length = buffer.readUInt16LE(i+2);
+      if (id === ZIP64_EXTRA_FIELD_ID) {
+        let field = i+4;
+        if (size === 0xFFFFFFFF) {
+          size = Number(buffer.readBigUInt64LE(field));
+          field += 8;
         }
-      });
+        if (compressedSize === 0xFFFFFFFF) {
+          compressedSize = Number(buffer.readBigUInt64LE(field));
+          field += 8;
+        }
+        if (localHeaderOffset === 0xFFFFFFFF) {
+          localHeaderOffset = Number(buffer.readBigUInt64LE(field));
+        }
+      }
+      i += 4+length;
     }
+    entries.push({
+      name,
+      directory: name.endsWith('/'),
+      size,
+      compressedSize,
+      compressionMethod: (compressionMethod in ZIP_COMPRESSION_METHODS) ? ZIP_COMPRESSION_METHODS[compressionMethod] : compressionMethod,
+      encrypted: (flags & 0x0001) === 0x0001,
+      crc32: buffer.readUInt32LE(offset+16),
+      lastModified: new Date(((date >> 9) & 0x7F)+1980, ((date >> 5) & 0x0F)-1, date & 0x1F, (time >> 11) & 0x1F, (time >> 5) & 0x3F, (time & 0x1F)*2), // MS-DOS date and time, local time
+      localHeaderOffset
+    });
+    offset = extraStart+extraLength+commentLength;
   }
+  return entries;
+}
 
-  function startDownloadingParts() {
-    for (let i = 0; i < concurrency; i++) {
-      downloadNextPart();
+function createCrc32Check(expectedCrc32) { // passes the data through, fails at the end if the CRC32 does not match
+  const crc = CRCS.crc32;
+  let value = crc.initial;
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      value = crc.update(value, chunk);
+      cb(null, chunk);
+    },
+    flush(cb) {
+      const actual = Number(value);
+      if (actual !== expectedCrc32) {
+        cb(new ChecksumMismatchError(`CRC32 checksum mismatch for ZIP entry: expected ${expectedCrc32}, got ${actual}`));
+      } else {
+        cb();
+      }
     }
-  }
-
-  let metadataCache = null;
+  });
+}
 
-  function meta(cb) {
-    if (metadataCache === null) {
-      metadataCache = new Promise((resolve, reject) => {
-        const params = {
-          Bucket: bucket,
-          Key: key,
-          VersionId: version
-        };
-        if (partSizeInBytes === null) {
-          params.PartNumber = 1;
-        } else {
-          const endByte = partSizeInBytes-1; // inclusive
-          params.Range = `bytes=0-${endByte}`;
+exports.openZip = ({bucket, key, version}, options, cb) => { // the archive is read with range requests, entries are never downloaded as a whole
+  let {partSizeInMegabytes} = options;
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('concurrency > 0');
+  }
+  if (partSizeInMegabytes === undefined || partSizeInMegabytes === null) {
+    partSizeInMegabytes = 8;
+  }
+  return callbackOrPromise(cb, (cb) => {
+    exports.openObject({bucket, key, version}, options, (err, object) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      const fail = (err) => {
+        object.close(() => cb(err));
+      };
+      findZipEocd(object, (err, {entries: expectedEntries, centralDirectoryOffset, centralDirectoryLength} = {}) => {
+        if (err) {
+          fail(err);
+          return;
         }
-        partsDownloading[1] = getObject(params, s3Options, retryOptions, timeoutOptions,  {emitter, traceId: `download=${downloadNo}:part=1`}, (err, data) => {
-          delete partsDownloading[1];
+        readFully(object, centralDirectoryOffset, centralDirectoryLength, (err, centralDirectory) => {
           if (err) {
-            if (err.code === 'InvalidRange') {
-              resolve({metadata: {lengthInBytes: 0}, body: Buffer.alloc(0)});
-            } else {
-              reject(err);
-            }
-          } else {
-            if (data.ContentLength === 0) {
-              resolve({metadata: {lengthInBytes: 0}, body: Buffer.alloc(0)});
-            } else {
-              const contentRange = parseContentRange(data.ContentRange);
-              if (contentRange === undefined) {
-                reject(new Error(`unexpected S3 content range: ${data.ContentRange}`));
+            fail(err);
+            return;
+          }
+          let entries;
+          try {
+            entries = parseZipCentralDirectory(centralDirectory, expectedEntries);
+          } catch (err) {
+            fail(err);
+            return;
+          }
+          const entryStreams = new Set(); // destroyed on close
+          const entryDownloads = new Set(); // aborted on close
+          let closed = false;
+
+          function openEntry(entry, stream) {
+            readFully(object, entry.localHeaderOffset, ZIP_LOCAL_FILE_HEADER_LENGTH, (err, header) => {
+              if (closed === true) {
+                stream.destroy(new Error('ZIP archive closed'));
+              } else if (err) {
+                stream.destroy(err);
+              } else if (header.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER_SIGNATURE) {
+                stream.destroy(new Error(`invalid ZIP archive: local file header of ${entry.name} not found`));
               } else {
-                const metadata = {
-                  lengthInBytes: contentRange.length
-                };
-                if ('PartsCount' in data) {
-                  metadata.parts = data.PartsCount;
+                const dataStartByte = entry.localHeaderOffset+ZIP_LOCAL_FILE_HEADER_LENGTH+header.readUInt16LE(26)+header.readUInt16LE(28); // name and extra field may differ from the central directory
+                const streams = [];
+                let d = null;
+                if (entry.compressedSize > 0) {
+                  d = exports.download({bucket, key, version: object.version}, {...options, partSizeInMegabytes, start: dataStartByte, end: dataStartByte+entry.compressedSize-1, expectedETag: object.etag});
+                  entryDownloads.add(d);
+                  streams.push(d.readStream());
+                } else {
+                  streams.push(Readable.from([]));
                 }
-                resolve({metadata, body: data.Body});
+                if (entry.compressionMethod === 'deflate') {
+                  streams.push(createInflateRaw());
+                }
+                streams.push(createCrc32Check(entry.crc32));
+                pipeline(...streams, stream, (err) => {
+                  entryDownloads.delete(d);
+                  if (err && d !== null) {
+                    d.abort(err);
+                  }
+                });
               }
-            }
+            });
           }
-        });
-      });
-    }
-    metadataCache.then(({metadata, body}) => {
-      cb(null, metadata, body);
-    }).catch(cb);
-  }
 
-  function start() {
-    emitter.emit(EVENT_NAME_PART_DOWNLOADING, {traceId: getTraceId(1), partNo: 1});
-    meta((err, metadata, body) => {
-      if (err) {
-        stream.destroy(err);
-      } else {
-        emitter.emit(EVENT_NAME_OBJECT_DOWNLOADING, {traceId: getTraceId(), ...metadata});
-        if (partSizeInBytes === null) {
-          emitter.emit(EVENT_NAME_PART_DOWNLOADED, {traceId: getTraceId(1), partNo: 1});
-          if ('parts' in metadata && metadata.parts > 1) {
-            emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(1), partNo: 1});
-            write(body, () => {
-              emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
-              lastWrittenPartNo = 1;
-              nextPartNo = 2;
-              partsToDownload = metadata.parts;
-              startDownloadingParts();
-            });
-          } else {
-            emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(1), partNo: 1});
-            stream.end(body, () => {
-              emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
-            });
+          function entryStream(nameOrEntry) {
+            const entry = (typeof nameOrEntry === 'string') ? entries.find(entry => entry.name === nameOrEntry) : nameOrEntry;
+            if (entry === undefined) {
+              throw new Error(`ZIP entry not found: ${nameOrEntry}`);
+            } else if (entry.encrypted === true) {
+              throw new Error(`encrypted ZIP entries are not supported: ${entry.name}`);
+            } else if (typeof entry.compressionMethod !== 'string') {
+              throw new Error(`unsupported ZIP compression method ${entry.compressionMethod}: ${entry.name}`);
+            }
+            if (closed === true) {
+              throw new Error('ZIP archive closed');
+            }
+            const stream = new PassThrough();
+            entryStreams.add(stream);
+            stream.once('close', () => entryStreams.delete(stream));
+            openEntry(entry, stream);
+            return stream;
           }
-        } else {
-          emitter.emit(EVENT_NAME_PART_DOWNLOADED, {traceId: getTraceId(1), partNo: 1});
-          bytesToDownload = metadata.lengthInBytes;
-          if (bytesToDownload <= partSizeInBytes) {
-            emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(1), partNo: 1});
-            stream.end(body, () => {
-              emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
-            });
-          } else {
-            emitter.emit(EVENT_NAME_PART_WRITING, {traceId: getTraceId(1), partNo: 1});
-            write(body, () => {
-              emitter.emit(EVENT_NAME_PART_DONE, {traceId: getTraceId(1), partNo: 1});
-              lastWrittenPartNo = 1;
-              nextPartNo = 2;
-              partsToDownload = Math.ceil(bytesToDownload/partSizeInBytes);
-              startDownloadingParts();
-            });
+
+          function close(cb) {
+            closed = true;
+            const err = new Error('ZIP archive closed');
+            entryDownloads.forEach(d => d.abort(err));
+            entryStreams.forEach(stream => stream.destroy(err));
+            object.close(cb);
           }
-        }
-      }
-    });
-  }
 
-  return {
-    meta: (cb) => {
-      meta((err, metadata) => {
-        if (err) {
-          cb(err);
-        } else {
-          cb(null, metadata);
-        }
-      });
-    },
-    readStream: () => {
-      if (started === false)  {
-        started = true;
-        stream = new PassThrough();
-        start();
-      }
-      return stream;
-    },
-    file: (path, cb) => {
-      if (started === false)  {
-        started = true;
-        stream = createWriteStream(path);
-        start();
-      }
-      let calledback = false;
-      stream.once('close', () => {
-        if (calledback === false) {
-          calledback = true;
-          cb();
-        }
-      });
-      stream.once('error', (err) => {
-        if (calledback === false) {
-          calledback = true;
-          cb(err);
-        }
+          cb(null, {
+            size: object.size,
+            entries,
+            entryStream,
+            close: (cb) => callbackOrPromise(cb, close)
+          });
+        });
       });
-    },
-    abort: (err) => {
-      if (err === undefined || err === null) {
-        err = new Error('aborted');
-      }
-      abortDownloads(err);
-    },
-    partsDownloading: () => Object.keys(partsDownloading).length,
-    addListener: (eventName, listener) => emitter.addListener(eventName, listener),
-    off: (eventName, listener) => emitter.off(eventName, listener),
-    on: (eventName, listener) => emitter.on(eventName, listener),
-    once: (eventName, listener) => emitter.once(eventName, listener),
-    removeListener: (eventName, listener) => emitter.removeListener(eventName, listener)
-  };
+    });
+  });
 };
@@ -1,16 +1,21 @@
 const assert = require('assert');
-const {pipeline} = require('node:stream');
+const {pipeline, Readable} = require('node:stream');
 const http = require('node:http');
 const fs = require('node:fs');
+const {join} = require('node:path');
+const {tmpdir} = require('node:os');
 const mockfs = require('mock-fs');
 const nock = require('nock');
 const AWS = require('aws-sdk');
 const {S3Client} = require('@aws-sdk/client-s3');
-const {clearCache, request, retryrequest, imds, download} = require('../index.js');
+const {createHash, randomBytes} = require('node:crypto');
+const {deflateRawSync, gzipSync, brotliCompressSync, zstdCompressSync} = require('node:zlib');
+const {clearCache, request, retryrequest, imds, download, downloadFile, downloadMany, downloadPrefix, syncPrefix, openObject, openZip, ObjectModifiedError, ChecksumMismatchError} = require('../index.js');
 
-function nockPart(partSize, partNumber, parts, bytes, hostname, optionalDelay, optionalPathPrefix) {
+function nockPart(partSize, partNumber, parts, bytes, hostname, optionalDelay, optionalPathPrefix, optionalHeaders) {
   console.log(`nockPart(${partSize}, ${partNumber}, ${parts}, ${bytes}, ${hostname}, ${optionalDelay}, ${optionalPathPrefix})`);
   const headers = {
+    ...optionalHeaders,
     'Content-Length': `${partSize}`,
     'Content-Range': `bytes ${(partNumber-1)*partSize}-${partNumber*partSize-1}/${bytes}`
   };
@@ -41,6 +46,49 @@ function nockPart(partSize, partNumber, parts, bytes, hostname, optionalDelay, o
   return n;
 }
 
+function nockFilledPart(partSize, partNumber, parts, optionalDelay) { // every byte of a part is set to its part number
+  const n = nock('https://bucket.s3.eu-west-1.amazonaws.com')
+    .get('/key')
+    .query({
+      versionId: 'version',
+      partNumber: `${partNumber}`
+    });
+  if (optionalDelay !== undefined) {
+    n.delay(optionalDelay);
+  }
+  return n.reply(206, Buffer.alloc(partSize, partNumber), {
+    'Content-Length': `${partSize}`,
+    'Content-Range': `bytes ${(partNumber-1)*partSize}-${partNumber*partSize-1}/${parts*partSize}`,
+    'x-amz-mp-parts-count': `${parts}`
+  });
+}
+
+function nockListObjects(query, keys, nextContinuationToken) {
+  return nock('https://bucket.s3.eu-west-1.amazonaws.com')
+    .get('/')
+    .query(query)
+    .reply(200, `<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">
+  <Name>bucket</Name>
+  <Prefix>${query.prefix}</Prefix>
+  <KeyCount>${keys.length}</KeyCount>
+  <MaxKeys>1000</MaxKeys>
+  <IsTruncated>${nextContinuationToken !== undefined}</IsTruncated>
+  ${(nextContinuationToken !== undefined) ? `<NextContinuationToken>${nextContinuationToken}</NextContinuationToken>` : ''}
+  ${keys.map(([key, size]) => `<Contents><Key>${key}</Key><LastModified>2024-01-01T00:00:00.000Z</LastModified><ETag>&quot;etag&quot;</ETag><Size>${size}</Size><StorageClass>STANDARD</StorageClass></Contents>`).join('')}
+</ListBucketResult>`, {'Content-Type': 'application/xml'});
+}
+
+function nockObject(key, size) {
+  return nock('https://bucket.s3.eu-west-1.amazonaws.com')
+    .get(`/${encodeURIComponent(key)}`)
+    .query({partNumber: '1'})
+    .reply(206, Buffer.alloc(size), {
+      'Content-Length': `${size}`,
+      'Content-Range': `bytes 0-${size-1}/${size}`
+    });
+}
+
 function nockRange(startByte, endByte, bytes, hostname, optionalDelay, optionalPathPrefix) {
   console.log(`nockRange(${startByte}, ${endByte}, ${bytes}, ${hostname}, ${optionalDelay}, ${optionalPathPrefix})`);
   const size = Math.min(endByte-startByte+1, bytes);
@@ -71,6 +119,188 @@ function nockRange(startByte, endByte, bytes, hostname, optionalDelay, optionalP
   return n;
 }
 
+function nockHeadPart(startByte, endByte, partNumber, parts, bytes) {
+  const headers = {
+    'Content-Length': `${endByte-startByte+1}`,
+    'Content-Range': `bytes ${startByte}-${endByte}/${bytes}`
+  };
+  if (parts > 1) {
+    headers['x-amz-mp-parts-count'] = `${parts}`;
+  }
+  return nock('https://bucket.s3.eu-west-1.amazonaws.com')
+    .head('/key')
+    .query({
+      versionId: 'version',
+      partNumber: `${partNumber}`
+    })
+    .reply(206, undefined, headers);
+}
+
+function nockSuffixRange(suffixLength, bytes, hostname) {
+  console.log(`nockSuffixRange(${suffixLength}, ${bytes}, ${hostname})`);
+  const size = Math.min(suffixLength, bytes);
+  return nock(`https://${hostname}`, {
+    reqheaders: {
+      range: `bytes=-${suffixLength}`,
+      'x-amz-content-sha256': /.*/,
+      'x-amz-date': /.*/,
+      authorization: /.*/
+    }
+  })
+    .get('/key')
+    .query({
+      versionId: 'version'
+    })
+    .reply(206, Buffer.alloc(size), {
+      'Content-Length': `${size}`,
+      'Content-Range': `bytes ${bytes-size}-${bytes-1}/${bytes}`
+    });
+}
+
+const CRC_PARAMETERS = {
+  crc32: [32, 0xEDB88320n],
+  crc32c: [32, 0x82F63B78n],
+  crc64nvme: [64, 0x9A6C9329AC4BC9B5n]
+};
+
+function calculateCrc(algorithm, data) { // bitwise reference implementation, independent of the table driven one in index.js
+  const [width, polynomial] = CRC_PARAMETERS[algorithm];
+  const mask = (1n << BigInt(width))-1n;
+  let crc = mask;
+  for (const byte of data) {
+    crc ^= BigInt(byte);
+    for (let bit = 0; bit < 8; bit++) {
+      crc = ((crc & 1n) === 1n) ? (crc >> 1n) ^ polynomial : crc >> 1n;
+    }
+  }
+  return crc ^ mask;
+}
+
+function crcChecksum(algorithm, data) { // base64 of the big-endian CRC like the x-amz-checksum-* headers
+  const [width] = CRC_PARAMETERS[algorithm];
+  const buffer = Buffer.alloc(width/8);
+  if (width === 64) {
+    buffer.writeBigUInt64BE(calculateCrc(algorithm, data));
+  } else {
+    buffer.writeUInt32BE(Number(calculateCrc(algorithm, data)));
+  }
+  return buffer.toString('base64');
+}
+
+function createZip(files, zip64) { // files: [{name, data, method, crc32}], method 0 (stored) or 8 (deflate)
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({name, data, method, crc32}) => {
+    const compressed = (method === 8) ? deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = (crc32 === undefined) ? Number(calculateCrc('crc32', data)) : crc32;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(((2024-1980) << 9) | (1 << 5) | 1, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+    const extra = Buffer.alloc(zip64 ? 28 : 0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(data.length), 4);
+      extra.writeBigUInt64LE(BigInt(compressed.length), 12);
+      extra.writeBigUInt64LE(BigInt(offset), 20);
+    }
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(45, 4);
+    central.writeUInt16LE(45, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(((2024-1980) << 9) | (1 << 5) | 1, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(zip64 ? 0xFFFFFFFF : compressed.length, 20);
+    central.writeUInt32LE(zip64 ? 0xFFFFFFFF : data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(zip64 ? 0xFFFFFFFF : offset, 42);
+    centrals.push(central, nameBuffer, extra);
+    offset += local.length+nameBuffer.length+compressed.length;
+  });
+  const centralDirectory = Buffer.concat(centrals);
+  const trailer = [];
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeBigUInt64LE(BigInt(files.length), 24);
+    record.writeBigUInt64LE(BigInt(files.length), 32);
+    record.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset+centralDirectory.length), 8);
+    locator.writeUInt32LE(1, 16);
+    trailer.push(record, locator);
+  }
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(zip64 ? 0xFFFF : files.length, 8);
+  eocd.writeUInt16LE(zip64 ? 0xFFFF : files.length, 10);
+  eocd.writeUInt32LE(zip64 ? 0xFFFFFFFF : centralDirectory.length, 12);
+  eocd.writeUInt32LE(zip64 ? 0xFFFFFFFF : offset, 16);
+  return Buffer.concat([...locals, centralDirectory, ...trailer, eocd]);
+}
+
+function createTar(entries) { // entries: [{path, type, data, mode, mtime, linkPath}], type is a tar typeflag, paths longer than 100 bytes are stored in a pax header
+  const header = (path, type, size, mode, mtime, linkPath) => {
+    const block = Buffer.alloc(512);
+    block.write(path, 0, 100);
+    block.write(mode.toString(8).padStart(7, '0'), 100);
+    block.write('0000000', 108);
+    block.write('0000000', 116);
+    block.write(size.toString(8).padStart(11, '0'), 124);
+    block.write(mtime.toString(8).padStart(11, '0'), 136);
+    block.fill(0x20, 148, 156);
+    block.write(type, 156);
+    block.write(linkPath, 157, 100);
+    block.write('ustar\u000000', 257);
+    block.write(block.reduce((sum, byte) => sum+byte, 0).toString(8).padStart(6, '0')+'\u0000', 148);
+    return block;
+  };
+  const pad = (data) => Buffer.concat([data, Buffer.alloc((512-data.length%512)%512)]);
+  const blocks = [];
+  entries.forEach(({path, type = '0', data = Buffer.alloc(0), mode = 0o644, mtime = 1704067200, linkPath = ''}) => {
+    if (Buffer.byteLength(path) > 100) {
+      const record = ` path=${path}\n`;
+      let length = Buffer.byteLength(record);
+      while (Buffer.byteLength(`${length}${record}`) !== length) { // the length includes its own digits
+        length++;
+      }
+      const records = Buffer.from(`${length}${record}`);
+      blocks.push(header('PaxHeader', 'x', records.length, 0o644, mtime, ''), pad(records));
+    }
+    blocks.push(header(path.slice(0, 100), type, data.length, mode, mtime, linkPath), pad(data));
+  });
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+function nockRanges(key, content, optionalHeaders) { // serves any range request of the object
+  return nock('https://bucket.s3.eu-west-1.amazonaws.com')
+    .persist()
+    .get(`/${key}`)
+    .reply(function() {
+      const [, start, end] = this.req.headers.range.match(/^bytes=(\d*)-(\d*)$/);
+      const startByte = (start === '') ? Math.max(content.length-parseInt(end, 10), 0) : parseInt(start, 10);
+      const endByte = (start === '' || end === '') ? content.length-1 : Math.min(parseInt(end, 10), content.length-1);
+      return [206, content.subarray(startByte, endByte+1), {...optionalHeaders, 'Content-Length': `${endByte-startByte+1}`, 'Content-Range': `bytes ${startByte}-${endByte}/${content.length}`, ETag: '"etag"'}];
+    });
+}
+
 function nockImds() {
   const responseBodyToken = 'TOKEN';
   const responseBodyDocument = JSON.stringify({region: 'eu-west-1'});
@@ -185,6 +415,18 @@ describe('index', () => {
         }
       });
     });
+    it('promise', async () => {
+      nock('http://localhost')
+        .get('/test')
+        .reply(200, 'Hello world!', {'Content-Type': 'application/text', 'Content-Length': '12'});
+      const {res, body} = await request(http, {
+        hostname: 'localhost',
+        method: 'GET',
+        path: '/test'
+      }, null, {}, {});
+      assert.deepStrictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(body.toString('utf8'), 'Hello world!');
+    });
     //it('with content-length < than real response body', (done) => { // not testable in nock v14 anymore, triggers Parse Error: Expected HTTP/
     //  nock('http://localhost')
     //    .get('/test')
@@ -236,6 +478,28 @@ describe('index', () => {
         }
       });
     });
+    it('with streamBody', (done) => {
+      nock('http://localhost')
+        .get('/test')
+        .reply(206, 'Hello world!', {'Content-Type': 'application/text', 'Content-Length': '12', 'Content-Range': 'bytes 0-11/12'});
+      request(http, {
+        hostname: 'localhost',
+        method: 'GET',
+        path: '/test'
+      }, null, {}, {streamBody: true}, (err, res, body) => {
+        if (err) {
+          done(err);
+        } else {
+          assert.deepStrictEqual(body, null);
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => {
+            assert.deepStrictEqual(Buffer.concat(chunks).toString('utf8'), 'Hello world!');
+            done();
+          });
+        }
+      });
+    });
     describe('timeout', () => {
       it('request', (done) => {
         nock('http://localhost')
@@ -370,6 +634,32 @@ describe('index', () => {
         }
       });
     });
+    it('promise', async () => {
+      const responseBody = 'test';
+      nock('http://localhost')
+        .post('/api')
+        .reply(200, responseBody, {'content-length': Buffer.byteLength(responseBody, 'utf8')});
+
+      const {res, body} = await retryrequest(http, {
+        hostname: 'localhost',
+        method: 'POST',
+        path: '/api'
+      }, Buffer.alloc(10), {maxAttempts: 3}, {}, {});
+      assert.ok(nock.isDone());
+      assert.deepStrictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(body.toString('utf8'), responseBody);
+    });
+    it('promise rejects', async () => {
+      nock('http://localhost')
+        .post('/api')
+        .replyWithError('boom');
+
+      await assert.rejects(retryrequest(http, {
+        hostname: 'localhost',
+        method: 'POST',
+        path: '/api'
+      }, Buffer.alloc(10), {maxAttempts: 3}, {}, {}), {message: 'boom'});
+    });
     it('retry recover', (done) => {
       nock('http://localhost')
         .post('/api')
@@ -496,6 +786,24 @@ describe('index', () => {
         }
       });
     });
+    it('promise', async () => {
+      const responseBodyToken = 'TOKEN';
+      const responseBodyInstanceId = 'i-123456';
+      nock('http://169.254.169.254')
+        .put('/latest/api/token')
+        .reply(200, responseBodyToken, {'content-length': Buffer.byteLength(responseBodyToken, 'utf8')});
+      nock('http://169.254.169.254', {
+        reqheaders: {
+          'X-aws-ec2-metadata-token': responseBodyToken
+        }
+      })
+        .get('/latest/meta-data/instance-id')
+        .reply(200, responseBodyInstanceId, {'content-length': Buffer.byteLength(responseBodyInstanceId, 'utf8')});
+
+      const instanceId = await imds('/latest/meta-data/instance-id', 100);
+      assert.ok(nock.isDone());
+      assert.deepStrictEqual(instanceId, responseBodyInstanceId);
+    });
   });
   describe('download', () => {
     describe('credentials via environment variables', () => {
@@ -1053,6 +1361,88 @@ describe('index', () => {
                 }
               );
             });
+            it('adaptive concurrency', (done) => {
+              const bytes = 5500000;
+              nockPart(1000000, 1, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockPart(1000000, 2, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nock('https://bucket.s3.eu-west-1.amazonaws.com')
+                .get('/key')
+                .query({
+                  versionId: 'version',
+                  partNumber: '3'
+                })
+                .reply(503, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>SlowDown</Code><Message>Please reduce your request rate.</Message></Error>', {'Content-Type': 'application/xml'});
+              nockPart(1000000, 3, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockPart(1000000, 4, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+              nockPart(1000000, 5, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockPart(500000, 6, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              mockfs({
+                '/tmp': {
+                }
+              });
+              const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 'auto', minConcurrency: 1, maxConcurrency: 4});
+              const changes = [];
+              d.on('object:concurrency-changed', ({concurrency, previousConcurrency, reason}) => {
+                changes.push({concurrency, previousConcurrency, reason});
+              });
+              pipeline(
+                d.readStream(),
+                fs.createWriteStream('/tmp/test'),
+                (err) => {
+                  if (err) {
+                    done(err);
+                  } else {
+                    assert.ok(nock.isDone());
+                    const {size} = fs.statSync('/tmp/test');
+                    assert.deepStrictEqual(size, bytes);
+                    assert.deepStrictEqual(changes.slice(0, 2), [
+                      {concurrency: 2, previousConcurrency: 1, reason: 'throughput'},
+                      {concurrency: 1, previousConcurrency: 2, reason: 'throttling'}
+                    ]);
+                    done();
+                  }
+                }
+              );
+            });
+            it('maxBufferedBytes', (done) => {
+              const bytes = 5500000;
+              nockPart(1000000, 1, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockPart(1000000, 2, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 300);
+              nockPart(1000000, 3, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+              nockPart(1000000, 4, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+              nockPart(1000000, 5, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+              nockPart(500000, 6, 6, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+              mockfs({
+                '/tmp': {
+                }
+              });
+              const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, maxBufferedBytes: 2000000});
+              let active = 0;
+              let activeMax = 0;
+              d.on('part:downloading', () => {
+                active++;
+                activeMax = Math.max(activeMax, active);
+              });
+              d.on('part:done', () => {
+                active--;
+              });
+              pipeline(
+                d.readStream(),
+                fs.createWriteStream('/tmp/test'),
+                (err) => {
+                  if (err) {
+                    done(err);
+                  } else {
+                    assert.ok(nock.isDone());
+                    const {size} = fs.statSync('/tmp/test');
+                    assert.deepStrictEqual(size, bytes);
+                    assert.deepStrictEqual(active, 0);
+                    assert.deepStrictEqual(activeMax, 2);
+                    done();
+                  }
+                }
+              );
+            });
           });
         });
         describe('with partSizeInMegabytes', () => {
@@ -1432,6 +1822,95 @@ describe('index', () => {
               );
             });
           });
+          describe('range', () => {
+            it('start and end', (done) => {
+              const bytes = 40000000;
+              nockRange(10000000, 17999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockRange(18000000, 25999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              mockfs({
+                '/tmp': {
+                }
+              });
+              pipeline(
+                download({bucket:'bucket', key: 'key', version: 'version'}, {partSizeInMegabytes: 8, concurrency: 4, start: 10000000, end: 25999999}).readStream(),
+                fs.createWriteStream('/tmp/test'),
+                (err) => {
+                  if (err) {
+                    done(err);
+                  } else {
+                    assert.ok(nock.isDone());
+                    const {size} = fs.statSync('/tmp/test');
+                    assert.deepStrictEqual(size, 16000000);
+                    done();
+                  }
+                }
+              );
+            });
+            it('start without end', (done) => {
+              const bytes = 20000000;
+              nockRange(10000000, 17999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockRange(18000000, 19999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              mockfs({
+                '/tmp': {
+                }
+              });
+              pipeline(
+                download({bucket:'bucket', key: 'key', version: 'version'}, {partSizeInMegabytes: 8, concurrency: 4, start: 10000000}).readStream(),
+                fs.createWriteStream('/tmp/test'),
+                (err) => {
+                  if (err) {
+                    done(err);
+                  } else {
+                    assert.ok(nock.isDone());
+                    const {size} = fs.statSync('/tmp/test');
+                    assert.deepStrictEqual(size, 10000000);
+                    done();
+                  }
+                }
+              );
+            });
+            it('suffixLengthInBytes <= part size', (done) => {
+              const bytes = 40000000;
+              nockSuffixRange(1000, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              const d = download({bucket:'bucket', key: 'key', version: 'version'}, {partSizeInMegabytes: 8, concurrency: 4, suffixLengthInBytes: 1000});
+              d.meta((err, metadata) => {
+                if (err) {
+                  done(err);
+                } else {
+                  assert.ok(nock.isDone());
+                  assert.deepStrictEqual({lengthInBytes: 1000, objectLengthInBytes: bytes, range: {start: 39999000, end: 39999999}}, metadata);
+                  done();
+                }
+              });
+            });
+            it('suffixLengthInBytes > part size', (done) => {
+              const bytes = 40000000;
+              nockSuffixRange(1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockRange(28000000, 35999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              nockRange(36000000, 39999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+              mockfs({
+                '/tmp': {
+                }
+              });
+              pipeline(
+                download({bucket:'bucket', key: 'key', version: 'version'}, {partSizeInMegabytes: 8, concurrency: 4, suffixLengthInBytes: 12000000}).readStream(),
+                fs.createWriteStream('/tmp/test'),
+                (err) => {
+                  if (err) {
+                    done(err);
+                  } else {
+                    assert.ok(nock.isDone());
+                    const {size} = fs.statSync('/tmp/test');
+                    assert.deepStrictEqual(size, 12000000);
+                    done();
+                  }
+                }
+              );
+            });
+            it('without partSizeInMegabytes', () => {
+              assert.throws(() => download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, start: 10000000}), {message: 'partSizeInMegabytes required for start, end, or suffixLengthInBytes'});
+            });
+          });
         });
         describe('S3 retries', () => {
           describe('timeout', () => {
@@ -1731,42 +2210,506 @@ describe('index', () => {
             }
           });
         });
-      });
-      describe('meta', () => {
-        it('happy', (done) => {
-          const bytes = 1000000;
-          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
-          mockfs({
-            '/tmp': {
-            }
-          });
-          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
-          d.meta((err, metadata) => {
-            if (err) {
-              done(err);
+        describe('ETag pinning', () => {
+          function nockPinnedPart(partNumber, reqheaders, statusCode) {
+            const partSize = 1000;
+            const n = nock('https://bucket.s3.eu-west-1.amazonaws.com', {reqheaders})
+              .get('/key')
+              .query({
+                versionId: 'version',
+                partNumber: `${partNumber}`
+              });
+            if (statusCode === 412) {
+              n.reply(412, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>PreconditionFailed</Code><Message>At least one of the pre-conditions you specified did not hold</Message><Condition>If-Match</Condition></Error>', {'Content-Type': 'application/xml'});
             } else {
-              assert.deepStrictEqual({lengthInBytes: bytes}, metadata);
-              d.file('/tmp/test', (err) => {
-                if (err) {
-                  done(err);
-                } else {
-                  assert.ok(nock.isDone());
-                  const {size} = fs.statSync('/tmp/test');
-                  assert.deepStrictEqual(size, bytes);
-                  done();
-                }
+              n.reply(206, Buffer.alloc(partSize), {
+                'Content-Length': `${partSize}`,
+                'Content-Range': `bytes ${(partNumber-1)*partSize}-${partNumber*partSize-1}/2000`,
+                'x-amz-mp-parts-count': '2',
+                'ETag': '"etag"',
+                'x-amz-version-id': 'version'
               });
             }
-          });
-        });
-        it('abort', (done) => {
-          const bytes = 1000000;
-          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
-          mockfs({
-            '/tmp': {
-            }
-          });
-          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          }
+          it('happy', (done) => {
+            nockPinnedPart(1, {});
+            nockPinnedPart(2, {'if-match': '"etag"'});
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, 2000);
+                done();
+              }
+            });
+          });
+          it('object modified', (done) => {
+            nockPinnedPart(1, {});
+            nockPinnedPart(2, {'if-match': '"etag"'}, 412);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).file('/tmp/test', (err) => {
+              if (err) {
+                assert.ok(nock.isDone());
+                assert.deepStrictEqual(err.name, 'ObjectModifiedError');
+                done();
+              } else {
+                done(new Error('must error'));
+              }
+            });
+          });
+          it('expectedETag', (done) => {
+            nockPinnedPart(1, {'if-match': '"expected"'}, 412);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, expectedETag: 'expected'}).file('/tmp/test', (err) => {
+              if (err) {
+                assert.ok(nock.isDone());
+                assert.deepStrictEqual(err.name, 'ObjectModifiedError');
+                done();
+              } else {
+                done(new Error('must error'));
+              }
+            });
+          });
+        });
+        describe('checksumMode', () => {
+          function nockChecksumPart(partNumber, checksumHeaders, times) {
+            const partSize = 1000;
+            const body = Buffer.alloc(partSize, partNumber);
+            nock('https://bucket.s3.eu-west-1.amazonaws.com', {
+              reqheaders: {
+                'x-amz-checksum-mode': 'ENABLED'
+              }
+            })
+              .get('/key')
+              .query({
+                versionId: 'version',
+                partNumber: `${partNumber}`
+              })
+              .times(times || 1)
+              .reply(206, body, {
+                ...checksumHeaders(body),
+                'Content-Length': `${partSize}`,
+                'Content-Range': `bytes ${(partNumber-1)*partSize}-${partNumber*partSize-1}/3000`,
+                'x-amz-mp-parts-count': '3'
+              });
+          }
+          const sha256 = (body) => ({'x-amz-checksum-sha256': createHash('sha256').update(body).digest('base64'), 'x-amz-checksum-type': 'COMPOSITE'});
+          const wrongSha256 = () => ({'x-amz-checksum-sha256': createHash('sha256').update('wrong').digest('base64'), 'x-amz-checksum-type': 'COMPOSITE'});
+          const fullObject = (algorithm, partNumbers) => () => ({[`x-amz-checksum-${algorithm}`]: crcChecksum(algorithm, Buffer.concat(partNumbers.map(partNumber => Buffer.alloc(1000, partNumber)))), 'x-amz-checksum-type': 'FULL_OBJECT'});
+          it('part checksums', (done) => {
+            nockChecksumPart(1, sha256);
+            nockChecksumPart(2, sha256);
+            nockChecksumPart(3, sha256);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED'}).file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, 3000);
+                done();
+              }
+            });
+          });
+          it('part checksum mismatch recover', (done) => {
+            nockChecksumPart(1, sha256);
+            nockChecksumPart(2, wrongSha256);
+            nockChecksumPart(2, sha256);
+            nockChecksumPart(3, sha256);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED'}).file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, 3000);
+                done();
+              }
+            });
+          });
+          it('part checksum mismatch', (done) => {
+            nockChecksumPart(1, sha256);
+            nockChecksumPart(2, wrongSha256, 5);
+            nockChecksumPart(3, sha256);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED'}).file('/tmp/test', (err) => {
+              if (err) {
+                assert.ok(nock.isDone());
+                assert.deepStrictEqual(err.name, 'ChecksumMismatchError');
+                done();
+              } else {
+                done(new Error('must error'));
+              }
+            });
+          });
+          it('full object checksum', (done) => {
+            const checksum = fullObject('crc64nvme', [1, 2, 3]);
+            nockChecksumPart(1, checksum);
+            nockChecksumPart(2, checksum);
+            nockChecksumPart(3, checksum);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED', positionalWrites: true}).file('/tmp/test', (err, summary) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, 3000);
+                assert.deepStrictEqual(summary.fullObjectChecksum, 'verified');
+                done();
+              }
+            });
+          });
+          it('full object checksum algorithms', async () => {
+            for (const algorithm of ['crc32', 'crc32c', 'crc64nvme']) {
+              const checksum = fullObject(algorithm, [1, 2, 3]);
+              nockChecksumPart(1, checksum);
+              nockChecksumPart(2, checksum);
+              nockChecksumPart(3, checksum);
+              mockfs({
+                '/tmp': {
+                }
+              });
+              const summary = await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED'}).file('/tmp/test');
+              assert.ok(nock.isDone());
+              assert.deepStrictEqual(summary.fullObjectChecksum, 'verified');
+              mockfs.restore();
+            }
+          });
+          it('full object checksum skipped on resume', async () => {
+            const checksum = fullObject('crc64nvme', [1, 2, 3]);
+            nockChecksumPart(1, checksum);
+            nockChecksumPart(3, checksum);
+            mockfs({
+              '/tmp': {
+                'test': Buffer.concat([Buffer.alloc(1000, 1), Buffer.alloc(1000, 2)]),
+                'test.checkpoint': JSON.stringify({
+                  source: {bucket: 'bucket', key: 'key', version: 'version'},
+                  object: {lengthInBytes: 3000},
+                  partSizeInBytes: null,
+                  writeMode: 'sequential',
+                  partsWritten: 2,
+                  bytesWritten: 2000
+                })
+              }
+            }, {createTmp: false});
+            const summary = await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED', resume: true}).file('/tmp/test');
+            assert.ok(nock.isDone());
+            assert.deepStrictEqual(fs.statSync('/tmp/test').size, 3000);
+            assert.deepStrictEqual(summary.fullObjectChecksum, 'skipped');
+          });
+          it('full object checksum mismatch', (done) => {
+            const checksum = fullObject('crc64nvme', [1, 3, 2]);
+            nockChecksumPart(1, checksum);
+            nockChecksumPart(2, checksum);
+            nockChecksumPart(3, checksum);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, checksumMode: 'ENABLED'}).file('/tmp/test', (err) => {
+              if (err) {
+                assert.ok(nock.isDone());
+                assert.deepStrictEqual(err.name, 'ChecksumMismatchError');
+                done();
+              } else {
+                done(new Error('must error'));
+              }
+            });
+          });
+        });
+        describe('positionalWrites', () => {
+          it('happy', (done) => {
+            nockFilledPart(1000000, 1, 4, 0);
+            nockFilledPart(1000000, 2, 4, 300);
+            nockFilledPart(1000000, 3, 4, 100);
+            nockFilledPart(1000000, 4, 4, 200);
+            mockfs({
+              '/tmp': {
+              }
+            });
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, positionalWrites: true});
+            const writingPartNos = [];
+            const donePartNos = [];
+            d.on('part:writing', ({partNo}) => {
+              writingPartNos.push(partNo);
+            });
+            d.on('part:done', ({partNo}) => {
+              donePartNos.push(partNo);
+            });
+            d.file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const data = fs.readFileSync('/tmp/test');
+                assert.deepStrictEqual(data.length, 4000000);
+                for (let partNo = 1; partNo <= 4; partNo++) {
+                  assert.ok(data.subarray((partNo-1)*1000000, partNo*1000000).every(byte => byte === partNo));
+                }
+                assert.deepStrictEqual([1, 3, 4, 2], writingPartNos);
+                assert.deepStrictEqual([1, 3, 4, 2], donePartNos);
+                done();
+              }
+            });
+          });
+          it('abort after the download ended', async () => {
+            nockFilledPart(1000000, 1, 4, 0);
+            nockFilledPart(1000000, 2, 4, 0);
+            nockFilledPart(1000000, 3, 4, 0);
+            nockFilledPart(1000000, 4, 4, 0);
+            const dir = fs.mkdtempSync(join(tmpdir(), 'positional-')); // the real file system reuses file descriptor numbers
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, positionalWrites: true});
+            let callbacks = 0;
+            await new Promise((resolve, reject) => d.file(join(dir, 'test'), (err) => {
+              callbacks++;
+              if (err) {
+                reject(err);
+              } else {
+                resolve();
+              }
+            }));
+            const fd = fs.openSync(join(dir, 'other'), 'w');
+            d.abort();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            try {
+              fs.writeSync(fd, 'still open'); // fails with EBADF if abort() closed the file descriptor again
+              fs.closeSync(fd);
+            } finally {
+              fs.rmSync(dir, {recursive: true});
+            }
+            assert.deepStrictEqual(callbacks, 1);
+          });
+          it('resume', (done) => {
+            nockFilledPart(1000000, 1, 4, 0);
+            nockFilledPart(1000000, 3, 4, 0);
+            nockFilledPart(1000000, 4, 4, 0);
+            mockfs({
+              '/tmp': {
+                'test': Buffer.alloc(4000000, 2),
+                'test.checkpoint': JSON.stringify({
+                  source: {bucket: 'bucket', key: 'key', version: 'version'},
+                  object: {lengthInBytes: 4000000},
+                  partSizeInBytes: null,
+                  writeMode: 'positional',
+                  partsWritten: 2,
+                  bytesWritten: 2000000
+                })
+              }
+            }, {createTmp: false});
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, positionalWrites: true, resume: true});
+            const writingPartNos = [];
+            d.on('part:writing', ({partNo}) => {
+              writingPartNos.push(partNo);
+            });
+            d.file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const data = fs.readFileSync('/tmp/test');
+                assert.deepStrictEqual(data.length, 4000000);
+                for (let partNo = 2; partNo <= 4; partNo++) {
+                  assert.ok(data.subarray((partNo-1)*1000000, partNo*1000000).every(byte => byte === partNo));
+                }
+                assert.deepStrictEqual([3, 4], writingPartNos);
+                assert.ok(!fs.existsSync('/tmp/test.checkpoint'));
+                done();
+              }
+            });
+          });
+          it('checkpoint after a gap', async () => {
+            nockFilledPart(1000000, 1, 4, 0);
+            nockFilledPart(1000000, 2, 4, 2000);
+            nockFilledPart(1000000, 3, 4, 0);
+            nockFilledPart(1000000, 4, 4, 0);
+            mockfs({
+              '/tmp': {
+              }
+            }, {createTmp: false});
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, positionalWrites: true, resume: true});
+            const donePartNos = [];
+            d.on('part:done', ({partNo}) => {
+              donePartNos.push(partNo);
+              if (donePartNos.length === 3) {
+                setTimeout(() => d.abort(), 50); // the checkpoint is saved in the background
+              }
+            });
+            await assert.rejects(d.file('/tmp/test'), {message: 'aborted'});
+            assert.deepStrictEqual(donePartNos.sort(), [1, 3, 4]);
+            const {partsWritten, bytesWritten} = JSON.parse(fs.readFileSync('/tmp/test.checkpoint', 'utf8'));
+            assert.deepStrictEqual(partsWritten, 1);
+            assert.deepStrictEqual(bytesWritten, 1000000);
+          });
+        });
+        describe('resume', () => {
+          it('without checkpoint', (done) => {
+            const bytes = 3000000;
+            nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"etag"'});
+            nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"etag"'});
+            nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"etag"'});
+            mockfs({
+              '/tmp': {
+              }
+            });
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, resume: true}).file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, bytes);
+                assert.ok(!fs.existsSync('/tmp/test.checkpoint'));
+                done();
+              }
+            });
+          });
+          it('with checkpoint', (done) => {
+            const bytes = 3000000;
+            nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"etag"'});
+            nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"etag"'});
+            mockfs({
+              '/tmp': {
+                'test': Buffer.alloc(2000000),
+                'test.checkpoint': JSON.stringify({
+                  source: {bucket: 'bucket', key: 'key', version: 'version'},
+                  object: {etag: '"etag"', lengthInBytes: bytes},
+                  partSizeInBytes: null,
+                  writeMode: 'sequential',
+                  partsWritten: 2,
+                  bytesWritten: 2000000
+                })
+              }
+            }, {createTmp: false});
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, resume: true});
+            const writingPartNos = [];
+            d.on('part:writing', ({partNo}) => {
+              writingPartNos.push(partNo);
+            });
+            d.file('/tmp/test', (err) => {
+              if (err) {
+                done(err);
+              } else {
+                assert.ok(nock.isDone());
+                const {size} = fs.statSync('/tmp/test');
+                assert.deepStrictEqual(size, bytes);
+                assert.deepStrictEqual([3], writingPartNos);
+                assert.ok(!fs.existsSync('/tmp/test.checkpoint'));
+                done();
+              }
+            });
+          });
+          it('checkpoint', async () => {
+            nockFilledPart(1000000, 1, 3, 0);
+            nockFilledPart(1000000, 2, 3, 0);
+            nockFilledPart(1000000, 3, 3, 2000);
+            mockfs({
+              '/tmp': {
+              }
+            }, {createTmp: false});
+            const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, resume: true});
+            d.on('part:done', ({partNo}) => {
+              if (partNo === 2) {
+                setTimeout(() => d.abort(), 50); // the checkpoint is saved in the background
+              }
+            });
+            await assert.rejects(d.file('/tmp/test'), {message: 'aborted'});
+            const {partsWritten, bytesWritten} = JSON.parse(fs.readFileSync('/tmp/test.checkpoint', 'utf8'));
+            assert.deepStrictEqual(partsWritten, 2);
+            assert.deepStrictEqual(bytesWritten, 2000000);
+            assert.deepStrictEqual(fs.statSync('/tmp/test').size, 2000000);
+          });
+          it('object changed', (done) => {
+            const bytes = 3000000;
+            nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', undefined, undefined, {ETag: '"new"'});
+            mockfs({
+              '/tmp': {
+                'test': Buffer.alloc(2000000),
+                'test.checkpoint': JSON.stringify({
+                  source: {bucket: 'bucket', key: 'key', version: 'version'},
+                  object: {etag: '"old"', lengthInBytes: bytes},
+                  partSizeInBytes: null,
+                  writeMode: 'sequential',
+                  partsWritten: 2,
+                  bytesWritten: 2000000
+                })
+              }
+            }, {createTmp: false});
+            download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, resume: true}).file('/tmp/test', (err) => {
+              if (err) {
+                assert.ok(nock.isDone());
+                assert.deepStrictEqual(err.name, 'ObjectModifiedError');
+                assert.deepStrictEqual(err.message, 'object changed since checkpoint was written');
+                assert.ok(fs.existsSync('/tmp/test.checkpoint'));
+                done();
+              } else {
+                done(new Error('must error'));
+              }
+            });
+          });
+        });
+      });
+      describe('meta', () => {
+        it('happy', (done) => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          d.meta((err, metadata) => {
+            if (err) {
+              done(err);
+            } else {
+              assert.deepStrictEqual({lengthInBytes: bytes}, metadata);
+              d.file('/tmp/test', (err) => {
+                if (err) {
+                  done(err);
+                } else {
+                  assert.ok(nock.isDone());
+                  const {size} = fs.statSync('/tmp/test');
+                  assert.deepStrictEqual(size, bytes);
+                  done();
+                }
+              });
+            }
+          });
+        });
+        it('abort', (done) => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
           setTimeout(() => {
             d.abort(new Error('test'));
           }, 100);
@@ -1781,6 +2724,1302 @@ describe('index', () => {
           });
         });
       });
+      describe('promises', () => {
+        it('meta', async () => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          const metadata = await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).meta();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual({lengthInBytes: bytes}, metadata);
+        });
+        it('file', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).file('/tmp/test');
+          assert.ok(nock.isDone());
+          const {size} = fs.statSync('/tmp/test');
+          assert.deepStrictEqual(size, bytes);
+        });
+        it('file abort', async () => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          setTimeout(() => {
+            d.abort();
+          }, 100);
+          await assert.rejects(d.file('/tmp/test'), {message: 'aborted'});
+        });
+        it('buffer', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          const buffer = await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).buffer();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(buffer.length, bytes);
+        });
+        it('events', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          const file = d.file('/tmp/test');
+          const donePartNos = [];
+          for await (const {partNo} of d.events('part:done')) {
+            donePartNos.push(partNo);
+          }
+          await file;
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual([1, 2, 3], donePartNos);
+        });
+        it('events after the download ended', async () => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          await d.file('/tmp/test');
+          const events = [];
+          for await (const event of d.events('part:done')) {
+            events.push(event);
+          }
+          assert.deepStrictEqual(events, []);
+        });
+        it('downloadFile', async () => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          await downloadFile({bucket:'bucket', key: 'key', version: 'version'}, '/tmp/test', {concurrency: 4});
+          assert.ok(nock.isDone());
+          const {size} = fs.statSync('/tmp/test');
+          assert.deepStrictEqual(size, bytes);
+        });
+      });
+      describe('progress', () => {
+        it('object:progress', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 400);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, progressIntervalInMilliseconds: 50});
+          const events = [];
+          d.on('object:progress', (event) => events.push(event));
+          await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.ok(events.length > 2);
+          events.reduce((previous, event) => {
+            assert.ok(event.bytesDownloaded >= previous.bytesDownloaded);
+            assert.ok(event.partsDone >= previous.partsDone);
+            return event;
+          });
+          const last = events[events.length-1];
+          assert.deepStrictEqual(last.bytesDownloaded, bytes);
+          assert.deepStrictEqual(last.bytesWritten, bytes);
+          assert.deepStrictEqual(last.lengthInBytes, bytes);
+          assert.deepStrictEqual(last.partsDone, 3);
+          assert.deepStrictEqual(last.partsTotal, 3);
+          assert.deepStrictEqual(last.etaInSeconds, 0);
+          assert.ok(last.meanBytesPerSecond > 0);
+          assert.ok(events.some(({etaInSeconds}) => etaInSeconds > 0));
+        });
+        it('progress()', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, progressIntervalInMilliseconds: 0});
+          const before = d.progress();
+          assert.deepStrictEqual(before.bytesDownloaded, 0);
+          assert.deepStrictEqual(before.bytesWritten, 0);
+          assert.deepStrictEqual(before.lengthInBytes, null);
+          assert.deepStrictEqual(before.partsDone, 0);
+          assert.deepStrictEqual(before.partsTotal, null);
+          assert.deepStrictEqual(before.etaInSeconds, null);
+          d.on('object:progress', () => assert.fail('no progress events if interval is 0'));
+          await d.buffer();
+          const after = d.progress();
+          assert.deepStrictEqual(after.bytesDownloaded, bytes);
+          assert.deepStrictEqual(after.bytesWritten, bytes);
+          assert.deepStrictEqual(after.lengthInBytes, bytes);
+          assert.deepStrictEqual(after.partsDone, 2);
+          assert.deepStrictEqual(after.partsTotal, 2);
+          assert.deepStrictEqual(after.etaInSeconds, 0);
+          assert.ok(after.meanBytesPerSecond > 0);
+        });
+      });
+      describe('summary', () => {
+        it('file', async () => {
+          const bytes = 2500000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({
+              versionId: 'version',
+              partNumber: '2'
+            })
+            .reply(503, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>SlowDown</Code><Message>Please reduce your request rate.</Message></Error>', {'Content-Type': 'application/xml'});
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(500000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          const events = [];
+          d.on('object:downloaded', (event) => events.push(event));
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events.length, 1);
+          assert.deepStrictEqual(events[0].traceId.startsWith('download='), true);
+          assert.deepStrictEqual(summary.requests, 4);
+          assert.deepStrictEqual(summary.retries, 1);
+          assert.deepStrictEqual(summary.retriesByCause, {'503': 1});
+          assert.deepStrictEqual(summary.bytesDownloaded, bytes);
+          assert.deepStrictEqual(summary.bytesWritten, bytes);
+          assert.deepStrictEqual(summary.lengthInBytes, bytes);
+          assert.deepStrictEqual(summary.parts, 3);
+          assert.ok(summary.durationInMilliseconds >= 0);
+          assert.ok(summary.timeToFirstByteInMilliseconds >= 0);
+          assert.ok(summary.timeToFirstByteInMilliseconds <= summary.durationInMilliseconds);
+          assert.deepStrictEqual(summary.partLatencyInMilliseconds.count, 3);
+          assert.deepStrictEqual(summary.partBytesPerSecond.count, 3);
+          assert.ok(summary.partBytesPerSecond.p90 > 0);
+          const {traceId, ...eventSummary} = events[0]; // eslint-disable-line no-unused-vars
+          assert.deepStrictEqual(eventSummary, summary);
+        });
+        it('percentiles', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 1000);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 1});
+          d.readStream().resume();
+          const summary = await new Promise((resolve) => d.once('object:downloaded', resolve));
+          const {count, median, p90, p99, min, max} = summary.partLatencyInMilliseconds; // latencies differ in the number of digits, a lexicographic sort mixes them up
+          assert.deepStrictEqual(count, 3);
+          assert.ok(min < 100);
+          assert.ok(median >= 100 && median < 1000);
+          assert.ok(max >= 1000);
+          assert.deepStrictEqual(p90, median+0.8*(max-median));
+          assert.deepStrictEqual(p99, median+0.98*(max-median));
+        });
+        it('file callback', (done) => {
+          const bytes = 1000000;
+          nockPart(1000000, 1, 1, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, positionalWrites: true}).file('/tmp/test', (err, summary) => {
+            if (err) {
+              done(err);
+            } else {
+              assert.deepStrictEqual(summary.requests, 1);
+              assert.deepStrictEqual(summary.retries, 0);
+              assert.deepStrictEqual(summary.bytesDownloaded, bytes);
+              done();
+            }
+          });
+        });
+      });
+      describe('pause', () => {
+        it('stops scheduling parts', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 1});
+          const downloading = [];
+          d.on('part:downloading', ({partNo}) => downloading.push(partNo));
+          d.once('part:downloading', () => {
+            d.once('part:downloading', () => d.pause());
+          });
+          const file = d.file('/tmp/test');
+          await new Promise(resolve => setTimeout(resolve, 400));
+          assert.deepStrictEqual(downloading, [1, 2]);
+          assert.deepStrictEqual(d.partsDownloading(), 0);
+          d.resume();
+          await file;
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(downloading, [1, 2, 3]);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+        it('abortInFlight', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          const events = [];
+          d.on('object:paused', ({interruptedPartNos}) => events.push(['paused', interruptedPartNos]));
+          d.on('object:resumed', () => events.push(['resumed']));
+          const file = d.file('/tmp/test');
+          await new Promise(resolve => setTimeout(resolve, 100));
+          assert.deepStrictEqual(d.partsDownloading(), 2);
+          d.pause({abortInFlight: true});
+          await new Promise(resolve => setTimeout(resolve, 100));
+          assert.deepStrictEqual(d.partsDownloading(), 0);
+          d.resume();
+          const summary = await file;
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events, [['paused', [2, 3]], ['resumed']]);
+          assert.deepStrictEqual(summary.requests, 5);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+      });
+      describe('maxPartSizeInMegabytes', () => {
+        it('splits oversized parts into ranges', async () => {
+          const bytes = 5000000;
+          nockHeadPart(0, 2999999, 1, 3, bytes);
+          nockHeadPart(3000000, 3999999, 2, 3, bytes);
+          nockHeadPart(4000000, 4999999, 3, 3, bytes);
+          nockRange(0, 999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockRange(1000000, 1999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockRange(2000000, 2999999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({versionId: 'version', partNumber: '2'})
+            .reply(206, Buffer.alloc(1000000), {'Content-Length': '1000000', 'Content-Range': `bytes 3000000-3999999/${bytes}`});
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({versionId: 'version', partNumber: '3'})
+            .reply(206, Buffer.alloc(1000000, 1), {'Content-Length': '1000000', 'Content-Range': `bytes 4000000-4999999/${bytes}`});
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, maxPartSizeInMegabytes: 1});
+          const metadata = await d.meta();
+          assert.deepStrictEqual(metadata, {lengthInBytes: bytes, parts: 3});
+          const buffer = await d.buffer();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(buffer.length, bytes);
+          assert.deepStrictEqual(buffer.subarray(0, 4000000).every(b => b === 0), true);
+          assert.deepStrictEqual(buffer.subarray(4000000).every(b => b === 1), true);
+        });
+        it('single part object', async () => {
+          const bytes = 2500000;
+          nockHeadPart(0, 2499999, 1, 1, bytes);
+          nockRange(0, 1249999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockRange(1250000, 2499999, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, maxPartSizeInMegabytes: 2});
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.parts, 2);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+        it('combined with partSizeInMegabytes', () => {
+          assert.throws(() => download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 1, partSizeInMegabytes: 8, maxPartSizeInMegabytes: 1}), {message: 'maxPartSizeInMegabytes can not be combined with partSizeInMegabytes'});
+        });
+      });
+      describe('streaming', () => {
+        it('readStream', (done) => {
+          const bytes = 3000000;
+          nockFilledPart(1000000, 1, 3);
+          nockFilledPart(1000000, 2, 3, 200);
+          nockFilledPart(1000000, 3, 3);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 3, streaming: true});
+          const chunks = [];
+          d.readStream().on('data', (chunk) => chunks.push(chunk)).on('end', () => {
+            const body = Buffer.concat(chunks);
+            assert.ok(nock.isDone());
+            assert.deepStrictEqual(body.length, bytes);
+            assert.deepStrictEqual([body[0], body[999999], body[1000000], body[1999999], body[2000000], body[2999999]], [1, 1, 2, 2, 3, 3]);
+            assert.deepStrictEqual(d.partsDownloading(), 0);
+            done();
+          });
+        });
+        it('slow consumer', async () => {
+          const bytes = 2000000;
+          [1, 2].forEach((partNumber) => {
+            nock('https://bucket.s3.eu-west-1.amazonaws.com')
+              .get('/key')
+              .query({versionId: 'version', partNumber: `${partNumber}`})
+              .reply(206, () => Readable.from(Array.from({length: 10}, () => Buffer.alloc(100000, partNumber))), {'Content-Length': '1000000', 'Content-Range': `bytes ${(partNumber-1)*1000000}-${partNumber*1000000-1}/${bytes}`, 'x-amz-mp-parts-count': '2'});
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, streaming: true, dataTimeoutInMilliseconds: 100, readTimeoutInMilliseconds: 300});
+          const retries = [];
+          d.on('request:retrying', (event) => retries.push(event));
+          const stream = d.readStream();
+          await new Promise(resolve => setTimeout(resolve, 500)); // the consumer pauses longer than the data and read timeouts
+          const body = Buffer.concat(await stream.toArray());
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(retries, []);
+          assert.deepStrictEqual(body.length, bytes);
+        });
+        it('resumes an interrupted body', async () => {
+          const bytes = 2000000;
+          nockFilledPart(1000000, 1, 2);
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({versionId: 'version', partNumber: '2'})
+            .reply(206, () => {
+              const body = new Readable({read() {}});
+              body.push(Buffer.alloc(400000, 2));
+              setTimeout(() => {
+                const err = new Error('socket hang up');
+                err.code = 'ECONNRESET';
+                body.destroy(err);
+              }, 50);
+              return body;
+            }, {'Content-Length': '1000000', 'Content-Range': `bytes 1000000-1999999/${bytes}`, 'x-amz-mp-parts-count': '2', ETag: '"etag"'});
+          nock('https://bucket.s3.eu-west-1.amazonaws.com', {
+            reqheaders: {
+              range: 'bytes=1400000-1999999',
+              'if-match': '"etag"'
+            }
+          })
+            .get('/key')
+            .query({versionId: 'version'})
+            .reply(206, Buffer.alloc(600000, 2), {'Content-Length': '600000', 'Content-Range': `bytes 1400000-1999999/${bytes}`});
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, streaming: true});
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.retries, 1);
+          assert.deepStrictEqual(summary.bytesWritten, bytes);
+          const body = fs.readFileSync('/tmp/test');
+          assert.deepStrictEqual(body.length, bytes);
+          assert.deepStrictEqual(body.subarray(1000000).every(b => b === 2), true);
+        });
+        it('into', async () => {
+          const bytes = 2000000;
+          nockFilledPart(1000000, 1, 2);
+          nockFilledPart(1000000, 2, 2);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, streaming: true});
+          await d.meta();
+          const buffer = await d.buffer();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(buffer.length, bytes);
+          assert.deepStrictEqual([buffer[0], buffer[999999], buffer[1000000], buffer[1999999]], [1, 1, 2, 2]);
+        });
+        it('combined with checksumMode', () => {
+          assert.throws(() => download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 1, streaming: true, checksumMode: 'ENABLED'}), {message: 'streaming can not be combined with checksumMode'});
+        });
+      });
+      describe('hedging', () => {
+        it('latency', async () => {
+          const bytes = 4000000;
+          nockPart(1000000, 1, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 5000);
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, hedgeLatencyMultiple: 2});
+          const events = [];
+          d.on('part:hedging', ({partNo, reason}) => events.push(['hedging', partNo, reason]));
+          d.on('part:hedged', ({partNo, winner}) => events.push(['hedged', partNo, winner]));
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events, [['hedging', 4, 'latency'], ['hedged', 4, 'hedge']]);
+          assert.deepStrictEqual(summary.hedges, 1);
+          assert.deepStrictEqual(summary.hedgesWon, 1);
+          assert.deepStrictEqual(summary.bytesDownloaded, bytes);
+          assert.deepStrictEqual(d.partsDownloading(), 0);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+        it('throughput', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 5000);
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4, hedgeMinBytesPerSecond: 1000});
+          const events = [];
+          d.on('part:hedging', ({partNo, reason}) => events.push(['hedging', partNo, reason]));
+          d.on('part:hedged', ({partNo, winner}) => events.push(['hedged', partNo, winner]));
+          await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events, [['hedging', 2, 'throughput'], ['hedged', 2, 'hedge']]);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+        it('original wins', async () => {
+          const bytes = 4000000;
+          nockPart(1000000, 1, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 400);
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 5000);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2, hedgeLatencyMultiple: 2});
+          const events = [];
+          d.on('part:hedging', ({partNo, reason}) => events.push(['hedging', partNo, reason]));
+          d.on('part:hedged', ({partNo, winner}) => events.push(['hedged', partNo, winner]));
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events, [['hedging', 4, 'latency'], ['hedged', 4, 'original']]);
+          assert.deepStrictEqual(summary.hedges, 1);
+          assert.deepStrictEqual(summary.hedgesWon, 0);
+          assert.deepStrictEqual(fs.statSync('/tmp/test').size, bytes);
+        });
+        it('no free slot', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 1500);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 1, hedgeMinBytesPerSecond: 1000});
+          const events = [];
+          d.on('part:hedging', ({partNo, reason}) => events.push(['hedging', partNo, reason]));
+          const summary = await d.file('/tmp/test');
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(events, []);
+          assert.deepStrictEqual(summary.hedges, 0);
+          assert.deepStrictEqual(summary.requests, 2);
+        });
+      });
+      describe('webStream', () => {
+        it('happy', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          let size = 0;
+          for await (const chunk of download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).webStream()) {
+            assert.ok(chunk instanceof Uint8Array);
+            size += chunk.byteLength;
+          }
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(size, bytes);
+        });
+        it('download error', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({
+              versionId: 'version',
+              partNumber: '2'
+            })
+            .reply(403, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>', {'Content-Type': 'application/xml'});
+          const reader = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).webStream().getReader();
+          await assert.rejects(async () => {
+            for (;;) {
+              const {done} = await reader.read();
+              if (done) {
+                break;
+              }
+            }
+          }, {code: 'AccessDenied'});
+        });
+        it('cancel', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          const reader = d.webStream().getReader();
+          const {value} = await reader.read();
+          assert.ok(value.byteLength > 0);
+          await new Promise(resolve => setTimeout(resolve, 100));
+          assert.deepStrictEqual(d.partsDownloading(), 2);
+          await reader.cancel();
+          assert.deepStrictEqual(d.partsDownloading(), 0);
+        });
+      });
+      describe('into', () => {
+        it('parts in any order', async () => {
+          nockFilledPart(1000, 1, 3, 0);
+          nockFilledPart(1000, 2, 3, 300);
+          nockFilledPart(1000, 3, 3, 0);
+          const target = Buffer.alloc(3010);
+          const result = await download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).into(target, 10);
+          assert.ok(nock.isDone());
+          assert.strictEqual(result, target);
+          assert.deepStrictEqual(target.subarray(0, 10), Buffer.alloc(10, 0));
+          assert.deepStrictEqual(target.subarray(10, 1010), Buffer.alloc(1000, 1));
+          assert.deepStrictEqual(target.subarray(1010, 2010), Buffer.alloc(1000, 2));
+          assert.deepStrictEqual(target.subarray(2010, 3010), Buffer.alloc(1000, 3));
+        });
+        it('SharedArrayBuffer', (done) => {
+          nockFilledPart(1000, 1, 2, 0);
+          nockFilledPart(1000, 2, 2, 0);
+          const target = new SharedArrayBuffer(2000);
+          download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).into(target, (err, result) => {
+            if (err) {
+              done(err);
+            } else {
+              assert.ok(nock.isDone());
+              assert.strictEqual(result, target);
+              const view = Buffer.from(target);
+              assert.deepStrictEqual(view.subarray(0, 1000), Buffer.alloc(1000, 1));
+              assert.deepStrictEqual(view.subarray(1000, 2000), Buffer.alloc(1000, 2));
+              done();
+            }
+          });
+        });
+        it('buffer too small', async () => {
+          nockFilledPart(1000, 1, 2, 0);
+          await assert.rejects(download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).into(Buffer.alloc(1999)), {message: 'buffer too small: 2000 bytes required at offset 0, 1999 bytes available'});
+        });
+        it('invalid buffer', async () => {
+          await assert.rejects(download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).into('buffer'), {message: 'invalid buffer'});
+        });
+      });
+      describe('parts', () => {
+        it('completion order', async () => {
+          const bytes = 4000000;
+          nockPart(1000000, 1, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 300);
+          nockPart(1000000, 3, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 100);
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 200);
+          const parts = [];
+          for await (const {partNo, offset, length, body} of download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).parts()) {
+            assert.deepStrictEqual(body.length, length);
+            parts.push([partNo, offset, length]);
+          }
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(parts, [[1, 0, 1000000], [3, 2000000, 1000000], [4, 3000000, 1000000], [2, 1000000, 1000000]]);
+        });
+        it('backpressure', async () => {
+          const bytes = 4000000;
+          nockPart(1000000, 1, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 3, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 4, 4, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 2});
+          const downloading = [];
+          d.on('part:downloading', ({partNo}) => downloading.push(partNo));
+          const iterator = d.parts();
+          assert.deepStrictEqual((await iterator.next()).value.partNo, 1);
+          await new Promise(resolve => setTimeout(resolve, 200));
+          assert.deepStrictEqual(downloading, [1, 2]); // part 1 is held by the consumer
+          assert.deepStrictEqual((await iterator.next()).value.partNo, 2);
+          await new Promise(resolve => setTimeout(resolve, 200));
+          assert.deepStrictEqual(downloading, [1, 2, 3]);
+          assert.deepStrictEqual((await iterator.next()).value.partNo, 3);
+          assert.deepStrictEqual((await iterator.next()).value.partNo, 4);
+          assert.deepStrictEqual((await iterator.next()).done, true);
+          assert.ok(nock.isDone());
+        });
+        it('break aborts download', async () => {
+          const bytes = 3000000;
+          nockPart(1000000, 1, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nockPart(1000000, 2, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          nockPart(1000000, 3, 3, bytes, 'bucket.s3.eu-west-1.amazonaws.com', 500);
+          const d = download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4});
+          for await (const {partNo} of d.parts()) {
+            assert.deepStrictEqual(partNo, 1);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.deepStrictEqual(d.partsDownloading(), 2);
+            break;
+          }
+          assert.deepStrictEqual(d.partsDownloading(), 0);
+        });
+        it('download error', async () => {
+          const bytes = 2000000;
+          nockPart(1000000, 1, 2, bytes, 'bucket.s3.eu-west-1.amazonaws.com');
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/key')
+            .query({
+              versionId: 'version',
+              partNumber: '2'
+            })
+            .reply(403, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>', {'Content-Type': 'application/xml'});
+          const partNos = [];
+          await assert.rejects(async () => {
+            for await (const {partNo} of download({bucket:'bucket', key: 'key', version: 'version'}, {concurrency: 4}).parts()) {
+              partNos.push(partNo);
+            }
+          }, {code: 'AccessDenied'});
+          assert.deepStrictEqual(partNos, [1]);
+        });
+      });
+      describe('downloadMany', () => {
+        const nockCountedPart = (hostname, partNumber, parts, counter) => nock(`https://${hostname}`)
+          .get('/key')
+          .query({
+            versionId: 'version',
+            partNumber: `${partNumber}`
+          })
+          .reply((uri, body, cb) => {
+            counter.active++;
+            counter.max = Math.max(counter.max, counter.active);
+            setTimeout(() => {
+              counter.active--;
+              cb(null, [206, Buffer.alloc(1000), {
+                'Content-Length': '1000',
+                'Content-Range': `bytes ${(partNumber-1)*1000}-${partNumber*1000-1}/${parts*1000}`,
+                'x-amz-mp-parts-count': `${parts}`
+              }]);
+            }, 50);
+          });
+        const nockAccessDenied = (hostname, partNumber) => nock(`https://${hostname}`)
+          .get('/key')
+          .query({
+            versionId: 'version',
+            partNumber: `${partNumber}`
+          })
+          .reply(403, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>', {'Content-Type': 'application/xml'});
+        it('happy', async () => {
+          const counter = {active: 0, max: 0};
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 1, 3, counter);
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 2, 3, counter);
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 3, 3, counter);
+          nockCountedPart('bucket2.s3.eu-west-1.amazonaws.com', 1, 1, counter);
+          nockCountedPart('bucket3.s3.eu-west-1.amazonaws.com', 1, 2, counter);
+          nockCountedPart('bucket3.s3.eu-west-1.amazonaws.com', 2, 2, counter);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const m = downloadMany([
+            {bucket: 'bucket1', key: 'key', version: 'version', path: '/tmp/test1'},
+            {bucket: 'bucket2', key: 'key', version: 'version', path: '/tmp/test2'},
+            {bucket: 'bucket3', key: 'key', version: 'version', path: '/tmp/test3'}
+          ], {concurrency: 2});
+          const done = [];
+          m.on('object:done', ({index, lengthInBytes}) => done.push([index, lengthInBytes]));
+          const summary = await m.run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(counter.max, 2);
+          assert.deepStrictEqual(done.sort(), [[0, 3000], [1, 1000], [2, 2000]]);
+          assert.deepStrictEqual(summary.objects, 3);
+          assert.deepStrictEqual(summary.objectsDownloaded, 3);
+          assert.deepStrictEqual(summary.objectsFailed, 0);
+          assert.deepStrictEqual(summary.bytesDownloaded, 6000);
+          assert.deepStrictEqual(summary.failures, []);
+          assert.deepStrictEqual(fs.statSync('/tmp/test1').size, 3000);
+          assert.deepStrictEqual(fs.statSync('/tmp/test2').size, 1000);
+          assert.deepStrictEqual(fs.statSync('/tmp/test3').size, 2000);
+        });
+        it('HEADs of maxPartSizeInMegabytes share the pool', async () => {
+          const counter = {active: 0, max: 0};
+          const nockCountedHead = (hostname, partNumber, parts) => nock(`https://${hostname}`)
+            .head('/key')
+            .query({versionId: 'version', partNumber: `${partNumber}`})
+            .reply((uri, body, cb) => {
+              counter.active++;
+              counter.max = Math.max(counter.max, counter.active);
+              setTimeout(() => {
+                counter.active--;
+                cb(null, [206, '', {
+                  'Content-Length': '1000',
+                  'Content-Range': `bytes ${(partNumber-1)*1000}-${partNumber*1000-1}/${parts*1000}`,
+                  'x-amz-mp-parts-count': `${parts}`
+                }]);
+              }, 50);
+            });
+          for (let partNumber = 1; partNumber <= 5; partNumber++) {
+            nockCountedHead('bucket1.s3.eu-west-1.amazonaws.com', partNumber, 5);
+            nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', partNumber, 5, counter);
+          }
+          nockCountedHead('bucket2.s3.eu-west-1.amazonaws.com', 1, 1);
+          nockCountedPart('bucket2.s3.eu-west-1.amazonaws.com', 1, 1, counter);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const summary = await downloadMany([
+            {bucket: 'bucket1', key: 'key', version: 'version', path: '/tmp/test1'},
+            {bucket: 'bucket2', key: 'key', version: 'version', path: '/tmp/test2'}
+          ], {concurrency: 2, maxPartSizeInMegabytes: 1}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(counter.max, 2);
+          assert.deepStrictEqual(summary.objectsDownloaded, 2);
+          assert.deepStrictEqual(fs.statSync('/tmp/test1').size, 5000);
+        });
+        it('no sources', async () => {
+          const summary = await downloadMany([], {concurrency: 2}).run();
+          assert.deepStrictEqual(summary.objects, 0);
+          assert.deepStrictEqual(summary.objectsDownloaded, 0);
+        });
+        it('error', async () => {
+          const counter = {active: 0, max: 0};
+          nockAccessDenied('bucket1.s3.eu-west-1.amazonaws.com', 1);
+          nockCountedPart('bucket2.s3.eu-west-1.amazonaws.com', 1, 1, counter);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const m = downloadMany([
+            {bucket: 'bucket1', key: 'key', version: 'version', path: '/tmp/test1'},
+            {bucket: 'bucket2', key: 'key', version: 'version', path: '/tmp/test2'},
+            {bucket: 'bucket3', key: 'key', version: 'version', path: '/tmp/test3'}
+          ], {concurrency: 2});
+          const failed = [];
+          m.on('object:failed', ({index, err}) => failed.push([index, err.code]));
+          await assert.rejects(m.run(), {code: 'AccessDenied'});
+          assert.deepStrictEqual(failed, [[0, 'AccessDenied']]);
+        });
+        it('continueOnError', async () => {
+          const counter = {active: 0, max: 0};
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 1, 2, counter);
+          nockAccessDenied('bucket1.s3.eu-west-1.amazonaws.com', 2);
+          nockCountedPart('bucket2.s3.eu-west-1.amazonaws.com', 1, 1, counter);
+          nockCountedPart('bucket3.s3.eu-west-1.amazonaws.com', 1, 1, counter);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const summary = await downloadMany([
+            {bucket: 'bucket1', key: 'key', version: 'version', path: '/tmp/test1'},
+            {bucket: 'bucket2', key: 'key', version: 'version', path: '/tmp/test2'},
+            {bucket: 'bucket3', key: 'key', version: 'version', path: '/tmp/test3'}
+          ], {concurrency: 2, continueOnError: true}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.objectsDownloaded, 2);
+          assert.deepStrictEqual(summary.objectsFailed, 1);
+          assert.deepStrictEqual(summary.bytesDownloaded, 2000);
+          assert.deepStrictEqual(summary.failures.length, 1);
+          assert.deepStrictEqual(summary.failures[0].index, 0);
+          assert.deepStrictEqual(summary.failures[0].path, '/tmp/test1');
+          assert.deepStrictEqual(summary.failures[0].err.code, 'AccessDenied');
+        });
+        it('abort', async () => {
+          const counter = {active: 0, max: 0};
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 1, 2, counter);
+          nockCountedPart('bucket1.s3.eu-west-1.amazonaws.com', 2, 2, counter);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const m = downloadMany([
+            {bucket: 'bucket1', key: 'key', version: 'version', path: '/tmp/test1'}
+          ], {concurrency: 2});
+          setTimeout(() => m.abort(), 10);
+          await assert.rejects(m.run(), {message: 'aborted'});
+        });
+      });
+      describe('downloadPrefix', () => {
+        it('happy', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/'}, [['data/', 0], ['data/a.csv', 10], ['data/sub/', 0], ['data/sub/b.csv', 20]], 'token');
+          nockListObjects({'list-type': '2', prefix: 'data/', 'continuation-token': 'token'}, [['data/sub/c.json', 30], ['data/empty/', 0]]);
+          nockObject('data/a.csv', 10);
+          nockObject('data/sub/b.csv', 20);
+          nockObject('data/sub/c.json', 30);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const done = [];
+          const p = downloadPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2});
+          p.on('object:done', ({key}) => done.push(key));
+          const summary = await p.run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(done.sort(), ['data/a.csv', 'data/sub/b.csv', 'data/sub/c.json']);
+          assert.deepStrictEqual(summary.objectsDownloaded, 3);
+          assert.deepStrictEqual(summary.bytesDownloaded, 60);
+          assert.deepStrictEqual(summary.objectsSkipped, 0);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/a.csv').size, 10);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/sub/b.csv').size, 20);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/sub/c.json').size, 30);
+          assert.ok(fs.statSync('/tmp/restore/empty').isDirectory());
+        });
+        it('include and exclude', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/2024'}, [['data/2024-01/a.csv', 10], ['data/2024-01/b.json', 20], ['data/2024-02/c.csv', 30], ['data/2024-02/tmp/d.csv', 40]]);
+          nockObject('data/2024-01/a.csv', 10);
+          nockObject('data/2024-02/c.csv', 30);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const summary = await downloadPrefix({bucket: 'bucket', prefix: 'data/2024'}, '/tmp/restore', {concurrency: 2, include: ['**/*.csv'], exclude: [/\/tmp\//]}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.objectsDownloaded, 2);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/2024-01/a.csv').size, 10);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/2024-02/c.csv').size, 30);
+        });
+        it('unsafe keys', async () => {
+          nockListObjects({'list-type': '2', prefix: ''}, [['../../etc/passwd', 10], ['a/../../b', 10], ['a\\b', 10], ['./c', 10]]);
+          nockObject('./c', 10);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const summary = await downloadPrefix({bucket: 'bucket'}, '/tmp/restore', {concurrency: 2}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.objectsDownloaded, 1);
+          assert.deepStrictEqual(summary.skipped, [{key: '../../etc/passwd', reason: 'unsafe'}, {key: 'a/../../b', reason: 'unsafe'}, {key: 'a\\b', reason: 'unsafe'}]);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/c').size, 10);
+        });
+        it('list error', async () => {
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/')
+            .query({'list-type': '2', prefix: 'data/'})
+            .reply(403, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>', {'Content-Type': 'application/xml'});
+          await assert.rejects(downloadPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2}).run(), {code: 'AccessDenied'});
+        });
+        it('list timeout', async () => {
+          assert.throws(() => downloadPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2, requestTimeoutInMilliseconds: -1}), {message: 'requestTimeoutInMilliseconds >= 0'});
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/')
+            .query({'list-type': '2', prefix: 'data/'})
+            .delay(1000)
+            .reply(200);
+          nockListObjects({'list-type': '2', prefix: 'data/'}, []);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const retries = [];
+          const p = downloadPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2, requestTimeoutInMilliseconds: 100});
+          p.on('request:retrying', ({err}) => retries.push(err.name));
+          const summary = await p.run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(retries, ['RequestTimeoutError']);
+          assert.deepStrictEqual(summary.objects, 0);
+        });
+        it('abort while listing', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/'}, [['data/a.csv', 10]], 'token');
+          nock('https://bucket.s3.eu-west-1.amazonaws.com')
+            .get('/')
+            .query({'list-type': '2', prefix: 'data/', 'continuation-token': 'token'})
+            .delay(2000)
+            .reply(200);
+          mockfs({
+            '/tmp': {
+            }
+          });
+          const p = downloadPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2});
+          const startedAt = Date.now();
+          setTimeout(() => p.abort(), 100);
+          await assert.rejects(p.run(), {message: 'aborted'});
+          assert.ok(Date.now()-startedAt < 1000);
+          assert.ok(!fs.existsSync('/tmp/restore'));
+        });
+      });
+      describe('syncPrefix', () => {
+        const mockLocalDir = (manifest) => {
+          const dir = {
+            'a.csv': mockfs.file({content: Buffer.alloc(10), mtime: new Date('2024-02-01T00:00:00.000Z')}),
+            'c.csv': mockfs.file({content: Buffer.alloc(5), mtime: new Date('2024-02-01T00:00:00.000Z')}),
+            'd.csv': mockfs.file({content: Buffer.alloc(40), mtime: new Date('2023-12-01T00:00:00.000Z')}),
+            'e.csv.checkpoint': '{}',
+            'f.csv.checkpoint.tmp': '{}',
+            'old': {
+              'stale.txt': 'stale'
+            }
+          };
+          if (manifest !== undefined) {
+            dir['.s3-getobject-accelerator-sync.json'] = JSON.stringify(manifest);
+          }
+          mockfs({
+            '/tmp': {
+              'restore': dir
+            }
+          }, {createTmp: false});
+        };
+        const objects = [['data/a.csv', 10], ['data/b.csv', 20], ['data/c.csv', 30], ['data/d.csv', 40]];
+        it('happy', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/'}, objects);
+          nockObject('data/b.csv', 20);
+          nockObject('data/c.csv', 30);
+          nockObject('data/d.csv', 40);
+          mockLocalDir();
+          const summary = await syncPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2, delete: true}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.plan, [
+            {action: 'download', key: 'data/b.csv', path: '/tmp/restore/b.csv', reason: 'missing'},
+            {action: 'download', key: 'data/c.csv', path: '/tmp/restore/c.csv', reason: 'size'},
+            {action: 'download', key: 'data/d.csv', path: '/tmp/restore/d.csv', reason: 'lastModified'},
+            {action: 'delete', path: '/tmp/restore/old/stale.txt'}
+          ]);
+          assert.deepStrictEqual(summary.objectsDownloaded, 3);
+          assert.deepStrictEqual(summary.objectsUpToDate, 1);
+          assert.deepStrictEqual(summary.objectsDeleted, 1);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/b.csv').size, 20);
+          assert.deepStrictEqual(fs.statSync('/tmp/restore/c.csv').size, 30);
+          assert.ok(!fs.existsSync('/tmp/restore/old/stale.txt'));
+          assert.ok(fs.existsSync('/tmp/restore/e.csv.checkpoint'));
+          assert.ok(fs.existsSync('/tmp/restore/f.csv.checkpoint.tmp'));
+          const manifest = JSON.parse(fs.readFileSync('/tmp/restore/.s3-getobject-accelerator-sync.json', 'utf8'));
+          assert.deepStrictEqual(Object.keys(manifest.objects).sort(), ['data/a.csv', 'data/b.csv', 'data/c.csv', 'data/d.csv']);
+          assert.deepStrictEqual(manifest.objects['data/a.csv'].etag, '"etag"');
+        });
+        it('dry run', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/'}, objects);
+          mockLocalDir();
+          const summary = await syncPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2, delete: true, dryRun: true}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.dryRun, true);
+          assert.deepStrictEqual(summary.plan.map(({action, path}) => [action, path]), [
+            ['download', '/tmp/restore/b.csv'],
+            ['download', '/tmp/restore/c.csv'],
+            ['download', '/tmp/restore/d.csv'],
+            ['delete', '/tmp/restore/old/stale.txt']
+          ]);
+          assert.deepStrictEqual(summary.objectsToDownload, 3);
+          assert.deepStrictEqual(summary.objectsToDelete, 1);
+          assert.deepStrictEqual(summary.objectsUpToDate, 1);
+          assert.ok(!fs.existsSync('/tmp/restore/b.csv'));
+          assert.ok(fs.existsSync('/tmp/restore/old/stale.txt'));
+          assert.ok(!fs.existsSync('/tmp/restore/.s3-getobject-accelerator-sync.json'));
+        });
+        it('manifest', async () => {
+          nockListObjects({'list-type': '2', prefix: 'data/'}, [['data/a.csv', 10], ['data/d.csv', 40]]);
+          nockObject('data/a.csv', 10);
+          mockLocalDir({objects: {
+            'data/a.csv': {etag: '"previous"', size: 10, lastModified: '2024-01-01T00:00:00.000Z', mtimeMs: new Date('2024-02-01T00:00:00.000Z').getTime()},
+            'data/d.csv': {etag: '"etag"', size: 40, lastModified: '2024-01-01T00:00:00.000Z', mtimeMs: new Date('2023-12-01T00:00:00.000Z').getTime()}
+          }});
+          const summary = await syncPrefix({bucket: 'bucket', prefix: 'data/'}, '/tmp/restore', {concurrency: 2}).run();
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(summary.plan, [
+            {action: 'download', key: 'data/a.csv', path: '/tmp/restore/a.csv', reason: 'etag'}
+          ]);
+          assert.deepStrictEqual(summary.objectsUpToDate, 1);
+          assert.ok(fs.existsSync('/tmp/restore/old/stale.txt'));
+        });
+      });
+      describe('openObject', () => {
+        const content = Buffer.from(Array.from({length: 350000}, (_, i) => i % 251));
+        const nockRead = (range, startByte, endByte) => nock('https://bucket.s3.eu-west-1.amazonaws.com', {
+          reqheaders: {
+            range
+          }
+        })
+          .get('/key')
+          .query({versionId: 'version'})
+          .reply(206, content.subarray(startByte, endByte+1), {'Content-Length': `${endByte-startByte+1}`, 'Content-Range': `bytes ${startByte}-${endByte}/${content.length}`, ETag: '"etag"', 'x-amz-version-id': 'version'});
+        const open = (options) => {
+          nockRead('bytes=-100000', 250000, 349999);
+          return openObject({bucket: 'bucket', key: 'key', version: 'version'}, {blockSizeInMegabytes: 0.1, ...options});
+        };
+        it('size and last block', async () => {
+          const object = await open({});
+          assert.deepStrictEqual(object.size, content.length);
+          const {bytesRead, buffer} = await object.read(Buffer.alloc(1000), 0, 1000, 349000);
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(bytesRead, 1000);
+          assert.deepStrictEqual(buffer, content.subarray(349000));
+          await object.close();
+        });
+        it('coalesces blocks', async () => {
+          const object = await open({readAheadBlocks: 0});
+          nockRead('bytes=100000-299999', 100000, 299999);
+          nockRead('bytes=0-99999', 0, 99999);
+          const results = await Promise.all([
+            object.read(Buffer.alloc(120000), 0, 120000, 150000),
+            object.read(Buffer.alloc(10), 0, 10, 5),
+            object.read(Buffer.alloc(20), 10, 10, 99990)
+          ]);
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(results[0].buffer, content.subarray(150000, 270000));
+          assert.deepStrictEqual(results[1].buffer, content.subarray(5, 15));
+          assert.deepStrictEqual(results[2].buffer.subarray(10), content.subarray(99990, 100000));
+          await object.close();
+        });
+        it('read-ahead', async () => {
+          const object = await open({readAheadBlocks: 2});
+          nockRead('bytes=0-99999', 0, 99999);
+          nockRead('bytes=100000-299999', 100000, 299999); // blocks 1 and 2
+          const buffer = Buffer.alloc(1000);
+          await object.read(buffer, 0, 1000, 0);
+          await object.read(buffer, 0, 1000, 1000); // sequential
+          const {buffer: result} = await object.read(Buffer.alloc(100000), 0, 100000, 120000);
+          assert.ok(nock.isDone());
+          assert.deepStrictEqual(result, content.subarray(120000, 220000));
+          await object.close();
+        });
+        it('end of object', async () => {
+          const object = await open({});
+          assert.deepStrictEqual((await object.read(Buffer.alloc(1000), 0, 1000, 349500)).bytesRead, 500);
+          assert.deepStrictEqual((await object.read(Buffer.alloc(1000), 0, 1000, 400000)).bytesRead, 0);
+          await object.close();
+        });
+        it('closed', async () => {
+          const object = await open({});
+          await object.close();
+          await assert.rejects(object.read(Buffer.alloc(10), 0, 10, 0), {message: 'object closed'});
+        });
+        it('object modified', async () => {
+          const object = await open({readAheadBlocks: 0});
+          nock('https://bucket.s3.eu-west-1.amazonaws.com', {
+            reqheaders: {
+              'if-match': '"etag"'
+            }
+          })
+            .get('/key')
+            .query({versionId: 'version'})
+            .reply(412, '<?xml version="1.0" encoding="UTF-8"?><Error><Code>PreconditionFailed</Code><Message>At least one of the pre-conditions you specified did not hold</Message></Error>', {'Content-Type': 'application/xml'});
+          await assert.rejects(object.read(Buffer.alloc(10), 0, 10, 0), ObjectModifiedError);
+          await object.close();
+        });
+      });
+      describe('openZip', () => {
+        const readEntry = (stream) => new Promise((resolve, reject) => {
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('end', () => resolve(Buffer.concat(chunks)));
+          stream.on('error', reject);
+        });
+        it('entries', async () => {
+          const random = randomBytes(50000);
+          const text = Buffer.from('Hello world!\n'.repeat(10000));
+          nockRanges('archive.zip', createZip([{name: 'dir/', data: Buffer.alloc(0), method: 0}, {name: 'dir/random.bin', data: random, method: 0}, {name: 'dir/text.txt', data: text, method: 8}]));
+          const zip = await openZip({bucket: 'bucket', key: 'archive.zip'}, {concurrency: 4, partSizeInMegabytes: 0.01, blockSizeInMegabytes: 0.01});
+          assert.deepStrictEqual(zip.entries.map(({name, directory, size, compressionMethod}) => ({name, directory, size, compressionMethod})), [
+            {name: 'dir/', directory: true, size: 0, compressionMethod: 'stored'},
+            {name: 'dir/random.bin', directory: false, size: 50000, compressionMethod: 'stored'},
+            {name: 'dir/text.txt', directory: false, size: text.length, compressionMethod: 'deflate'}
+          ]);
+          assert.deepStrictEqual(zip.entries[1].lastModified, new Date(2024, 0, 1));
+          assert.deepStrictEqual(await readEntry(zip.entryStream('dir/random.bin')), random);
+          assert.deepStrictEqual(await readEntry(zip.entryStream(zip.entries[2])), text);
+          assert.deepStrictEqual(await readEntry(zip.entryStream('dir/')), Buffer.alloc(0));
+          assert.throws(() => zip.entryStream('missing'), {message: 'ZIP entry not found: missing'});
+          await zip.close();
+        });
+        it('ZIP64', async () => {
+          const text = Buffer.from('Hello ZIP64!\n'.repeat(1000));
+          nockRanges('archive.zip', createZip([{name: 'a.txt', data: text, method: 8}, {name: 'b.txt', data: text, method: 0}], true));
+          const zip = await openZip({bucket: 'bucket', key: 'archive.zip'}, {concurrency: 2});
+          assert.deepStrictEqual(zip.entries.map(({name, size}) => ({name, size})), [{name: 'a.txt', size: text.length}, {name: 'b.txt', size: text.length}]);
+          assert.deepStrictEqual(await readEntry(zip.entryStream('b.txt')), text);
+          await zip.close();
+        });
+        it('CRC32 mismatch', async () => {
+          nockRanges('archive.zip', createZip([{name: 'a.txt', data: Buffer.from('Hello world!'), method: 8, crc32: 1}]));
+          const zip = await openZip({bucket: 'bucket', key: 'archive.zip'}, {concurrency: 1});
+          await assert.rejects(readEntry(zip.entryStream('a.txt')), ChecksumMismatchError);
+          await zip.close();
+        });
+        it('close while an entry is streaming', async () => {
+          const random = randomBytes(2000000);
+          const scope = nockRanges('archive.zip', createZip([{name: 'a.bin', data: random, method: 0, crc32: 0}])); // the CRC32 is never checked, the entry is not read to the end
+          let requests = 0;
+          scope.on('request', () => requests++);
+          const zip = await openZip({bucket: 'bucket', key: 'archive.zip'}, {concurrency: 2, partSizeInMegabytes: 0.01});
+          const stream = zip.entryStream('a.bin');
+          const errors = [];
+          stream.on('error', (err) => errors.push(err.message));
+          await new Promise(resolve => stream.once('data', resolve));
+          stream.resume();
+          await zip.close();
+          const requestsAtClose = requests;
+          await new Promise(resolve => setTimeout(resolve, 100));
+          assert.ok(stream.destroyed);
+          assert.deepStrictEqual(errors, ['ZIP archive closed']);
+          assert.deepStrictEqual(requests, requestsAtClose);
+          assert.throws(() => zip.entryStream('a.bin'), {message: 'ZIP archive closed'});
+        });
+        it('not a ZIP archive', async () => {
+          nockRanges('archive.zip', Buffer.from('Hello world!'));
+          await assert.rejects(openZip({bucket: 'bucket', key: 'archive.zip'}, {concurrency: 1}), {message: 'not a ZIP archive: end of central directory not found'});
+        });
+      });
+      describe('extractTo', () => {
+        it('gzip auto', async () => {
+          const longPath = `dir/${'a'.repeat(120)}.txt`;
+          const random = randomBytes(50000);
+          nockRanges('archive.tar.gz', gzipSync(createTar([
+            {path: 'dir/', type: '5', mode: 0o750, mtime: 1600000000},
+            {path: 'dir/random.bin', data: random, mode: 0o600},
+            {path: longPath, data: Buffer.from('Hello world!')},
+            {path: 'dir/symlink', type: '2', linkPath: 'random.bin'},
+            {path: 'dir/link', type: '1', linkPath: 'dir/random.bin'},
+            {path: 'fifo', type: '6'}
+          ])));
+          mockfs({
+            '/tmp': {}
+          });
+          const d = download({bucket: 'bucket', key: 'archive.tar.gz'}, {partSizeInMegabytes: 0.01, concurrency: 2});
+          const events = [];
+          d.on('entry:extracted', ({path, type}) => events.push(['extracted', path, type]));
+          d.on('entry:skipped', ({path, type}) => events.push(['skipped', path, type]));
+          const summary = await d.extractTo('/tmp/target');
+          assert.deepStrictEqual(summary.entriesExtracted, 5);
+          assert.deepStrictEqual(summary.entriesSkipped, 1);
+          assert.deepStrictEqual(events, [
+            ['extracted', 'dir/', 'directory'],
+            ['extracted', 'dir/random.bin', 'file'],
+            ['extracted', longPath, 'file'],
+            ['extracted', 'dir/symlink', 'symlink'],
+            ['extracted', 'dir/link', 'link'],
+            ['skipped', 'fifo', 'fifo']
+          ]);
+          assert.deepStrictEqual(fs.readFileSync('/tmp/target/dir/random.bin'), random);
+          assert.deepStrictEqual(fs.readFileSync(`/tmp/target/${longPath}`, 'utf8'), 'Hello world!');
+          assert.deepStrictEqual(fs.readlinkSync('/tmp/target/dir/symlink'), 'random.bin');
+          assert.deepStrictEqual(fs.readFileSync('/tmp/target/dir/link'), random);
+          assert.ok(!fs.existsSync('/tmp/target/fifo'));
+          const file = fs.statSync('/tmp/target/dir/random.bin');
+          assert.deepStrictEqual(file.mode & 0o777, 0o600);
+          assert.deepStrictEqual(file.mtimeMs, 1704067200000);
+          const dir = fs.statSync('/tmp/target/dir');
+          assert.deepStrictEqual(dir.mode & 0o777, 0o750);
+          assert.deepStrictEqual(dir.mtimeMs, 1600000000000);
+        });
+        it('path traversal', async () => {
+          nockRanges('archive.tar', createTar([{path: '../evil', data: Buffer.from('evil')}]));
+          mockfs({
+            '/tmp': {}
+          });
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target', {gzip: false}), {message: 'unsafe path in tar archive: ../evil'});
+          assert.ok(!fs.existsSync('/tmp/evil'));
+        });
+        it('symlink traversal', async () => {
+          nockRanges('archive.tar', createTar([{path: 'symlink', type: '2', linkPath: '/tmp'}, {path: 'symlink/evil', data: Buffer.from('evil')}]));
+          mockfs({
+            '/tmp': {}
+          });
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target'), {message: 'unsafe symlink in tar archive: symlink -> /tmp'});
+          nock.cleanAll();
+          nockRanges('archive.tar', createTar([{path: 'symlink', type: '2', linkPath: '.'}, {path: 'symlink/evil', data: Buffer.from('evil')}]));
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target'), {message: 'unsafe path in tar archive: symlink/evil'});
+          assert.ok(!fs.existsSync('/tmp/target/evil'));
+        });
+        it('symlink moving an earlier symlink target', async () => {
+          nockRanges('archive.tar', createTar([{path: 's', type: '2', linkPath: 'd/..'}, {path: 'd', type: '2', linkPath: '.'}, {path: 's/evil', data: Buffer.from('evil')}]));
+          mockfs({
+            '/tmp': {}
+          });
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target'), {message: 'unsafe symlink in tar archive: d -> .'});
+          assert.ok(!fs.existsSync('/tmp/target/d'));
+        });
+        it('directory entry on a symlink', async () => {
+          nockRanges('archive.tar', createTar([{path: 'outside/', type: '5', mode: 0o755}, {path: 's', type: '2', linkPath: 'outside'}, {path: 's/', type: '5', mode: 0o700, mtime: 0}]));
+          mockfs({
+            '/tmp': {}
+          });
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target'), {message: 'unsafe path in tar archive: s/'});
+          assert.notDeepStrictEqual(fs.statSync('/tmp/target/outside').mode & 0o777, 0o700);
+        });
+        it('hard link to a symlink', async () => {
+          nockRanges('archive.tar', createTar([{path: 'dir/symlink', type: '2', linkPath: '..'}, {path: 'link', type: '1', linkPath: 'dir/symlink'}, {path: 'link/evil', data: Buffer.from('evil')}]));
+          mockfs({
+            '/tmp': {}
+          });
+          await assert.rejects(download({bucket: 'bucket', key: 'archive.tar'}, {partSizeInMegabytes: 0.01, concurrency: 1}).extractTo('/tmp/target'), {message: 'unsafe link in tar archive: link -> dir/symlink'});
+          assert.ok(!fs.existsSync('/tmp/target/link'));
+          assert.ok(!fs.existsSync('/tmp/evil'));
+        });
+      });
+      describe('decompress', () => {
+        const text = Buffer.from('Hello world!\n'.repeat(10000));
+        it('Content-Encoding', async () => {
+          nockRanges('data', gzipSync(text), {'Content-Encoding': 'gzip'});
+          const d = download({bucket: 'bucket', key: 'data'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'auto'});
+          assert.deepStrictEqual((await d.meta()).contentEncoding, 'gzip');
+          assert.deepStrictEqual(Buffer.concat(await d.readStream().toArray()), text);
+          const {bytesWritten, bytesDecompressed} = d.progress();
+          assert.ok(bytesWritten < text.length);
+          assert.deepStrictEqual(bytesDecompressed, text.length);
+        });
+        it('extension', async () => {
+          nockRanges('data.br', brotliCompressSync(text));
+          const d = download({bucket: 'bucket', key: 'data.br'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'auto'});
+          assert.deepStrictEqual(Buffer.concat(await d.readStream().toArray()), text);
+        });
+        it('magic bytes', async () => {
+          nockRanges('data', gzipSync(text));
+          mockfs({
+            '/tmp': {}
+          });
+          const summary = await download({bucket: 'bucket', key: 'data'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'auto'}).file('/tmp/data');
+          assert.deepStrictEqual(fs.readFileSync('/tmp/data'), text);
+          assert.deepStrictEqual(summary.bytesDecompressed, text.length);
+        });
+        it('file after readStream', async () => {
+          nockRanges('data.gz', gzipSync(text));
+          mockfs({
+            '/tmp': {}
+          });
+          const d = download({bucket: 'bucket', key: 'data.gz'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'auto'});
+          const stream = d.readStream();
+          await assert.rejects(d.file('/tmp/data'), {message: 'download already started'});
+          assert.deepStrictEqual(Buffer.concat(await stream.toArray()), text);
+          assert.ok(!fs.existsSync('/tmp/data'));
+        });
+        it('not compressed', async () => {
+          nockRanges('data', text);
+          const d = download({bucket: 'bucket', key: 'data'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'auto'});
+          assert.deepStrictEqual(Buffer.concat(await d.readStream().toArray()), text);
+        });
+        it('zstd', async () => {
+          if (zstdCompressSync === undefined) { // Node.js < 22.15
+            assert.throws(() => download({bucket: 'bucket', key: 'data'}, {concurrency: 1, decompress: 'zstd'}), {message: 'decompress = zstd requires Node.js 22.15 or later'});
+          } else {
+            nockRanges('data', zstdCompressSync(text));
+            const d = download({bucket: 'bucket', key: 'data'}, {partSizeInMegabytes: 0.01, concurrency: 2, decompress: 'zstd'});
+            assert.deepStrictEqual(Buffer.concat(await d.readStream().toArray()), text);
+          }
+        });
+        it('corrupt data', async () => {
+          nockRanges('data.gz', Buffer.from('Hello world!'));
+          const d = download({bucket: 'bucket', key: 'data.gz'}, {partSizeInMegabytes: 0.01, concurrency: 1, decompress: 'auto'});
+          await assert.rejects(d.readStream().toArray(), {code: 'Z_DATA_ERROR'});
+        });
+      });
+      describe('sseCustomerKey', () => {
+        const key = randomBytes(32);
+        const nockSseCustomerKey = () => nock('https://bucket.s3.eu-west-1.amazonaws.com', {
+          reqheaders: {
+            'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+            'x-amz-server-side-encryption-customer-key': key.toString('base64'),
+            'x-amz-server-side-encryption-customer-key-md5': createHash('md5').update(key).digest('base64'),
+            authorization: (value) => value.includes('x-amz-server-side-encryption-customer-key')
+          }
+        })
+          .get('/key')
+          .query({partNumber: '1'});
+        it('Buffer', async () => {
+          nockSseCustomerKey().reply(206, Buffer.from('Hello world!'), {'Content-Length': '12', 'Content-Range': 'bytes 0-11/12'});
+          const buffer = await download({bucket: 'bucket', key: 'key'}, {concurrency: 1, sseCustomerKey: key}).buffer();
+          assert.deepStrictEqual(buffer.toString('utf8'), 'Hello world!');
+        });
+        it('key is redacted', async () => {
+          nockSseCustomerKey().reply(400, `<?xml version="1.0" encoding="UTF-8"?>
+<Error><Code>InvalidArgument</Code><Message>The secret key was invalid for the specified algorithm.</Message><ArgumentName>x-amz-server-side-encryption-customer-key</ArgumentName><ArgumentValue>${key.toString('base64')}</ArgumentValue></Error>`, {'Content-Type': 'application/xml'});
+          const d = download({bucket: 'bucket', key: 'key'}, {concurrency: 1, sseCustomerKey: key.toString('base64')});
+          await assert.rejects(d.buffer(), (err) => {
+            assert.deepStrictEqual(err.code, 'InvalidArgument');
+            assert.ok(err.body.toString('utf8').includes('<ArgumentValue>[REDACTED]</ArgumentValue>'));
+            assert.ok(!err.body.toString('utf8').includes(key.toString('base64')));
+            return true;
+          });
+        });
+        it('invalid key', () => {
+          assert.throws(() => download({bucket: 'bucket', key: 'key'}, {concurrency: 1, sseCustomerKey: randomBytes(16)}), {message: 'sseCustomerKey must be a 256-bit key (Buffer or base64)'});
+        });
+      });
     });
     describe('credentials via IMDS', () => {
       before(() => {